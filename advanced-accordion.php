@@ -19,6 +19,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 	exit; // Prevent direct access.
 }
 
+require_once __DIR__ . '/includes/faq-schema.php';
+require_once __DIR__ . '/includes/deferred-content.php';
+require_once __DIR__ . '/includes/media-embeds.php';
+require_once __DIR__ . '/includes/server-render.php';
+require_once __DIR__ . '/includes/svg-icons.php';
+
 /**
  * Register all blocks that make up the Advanced Accordion system.
  *
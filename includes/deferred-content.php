@@ -0,0 +1,62 @@
+<?php
+/**
+ * Deferred panel content.
+ *
+ * Items with "Defer content until opened" render the media inside their
+ * panel inert: src, srcset and poster move to data-aa-* attributes, so
+ * iframes, videos and images don't load with the page. The view script
+ * restores them the first time the item opens (or is prefetched).
+ *
+ * @package AdvancedAccordion
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Prevent direct access.
+}
+
+/**
+ * Rewrite the media inside a deferred item's panel.
+ *
+ * Media already made inert by a nested deferred item is left alone, so
+ * the nested item keeps loading it on its own first open.
+ *
+ * @param string $block_content Rendered item HTML.
+ * @param array  $block         Parsed item block.
+ * @return string
+ */
+function advanced_accordion_defer_item_media( $block_content, $block ) {
+	if (
+		empty( $block['attrs']['deferContent'] ) ||
+		! empty( $block['attrs']['openByDefault'] ) ||
+		! class_exists( 'WP_HTML_Tag_Processor' ) // WordPress < 6.2.
+	) {
+		return $block_content;
+	}
+
+	$processor = new WP_HTML_Tag_Processor( $block_content );
+
+	// Only media inside the panel is deferred, not the toggle.
+	if ( ! $processor->next_tag( array( 'class_name' => 'wp-block-accordion-content' ) ) ) {
+		return $block_content;
+	}
+
+	$media_tags = array( 'IFRAME', 'IMG', 'VIDEO', 'AUDIO', 'SOURCE' );
+
+	while ( $processor->next_tag() ) {
+		if ( ! in_array( $processor->get_tag(), $media_tags, true ) ) {
+			continue;
+		}
+
+		foreach ( array( 'src', 'srcset', 'poster' ) as $attribute ) {
+			$value = $processor->get_attribute( $attribute );
+			if ( ! is_string( $value ) ) {
+				continue;
+			}
+			$processor->set_attribute( "data-aa-{$attribute}", $value );
+			$processor->remove_attribute( $attribute );
+		}
+	}
+
+	return $processor->get_updated_html();
+}
+add_filter( 'render_block_asuspended/accordion-item', 'advanced_accordion_defer_item_media', 10, 2 );
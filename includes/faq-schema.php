@@ -0,0 +1,217 @@
+<?php
+/**
+ * FAQPage structured data (JSON-LD).
+ *
+ * Accordions with "Output FAQ schema" enabled contribute their items as
+ * Question / Answer pairs while they render, the answer taken from the
+ * panel's rendered HTML. All collected pairs are printed as a single
+ * FAQPage block in the footer, so several accordions on one page (or the
+ * same question rendered twice) produce one clean schema.
+ *
+ * @package AdvancedAccordion
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Prevent direct access.
+}
+
+/**
+ * Shared store of collected questions, keyed for de-duplication.
+ *
+ * @param array|null $question Question entity to add, or null to read.
+ * @return array[] All collected Question entities.
+ */
+function advanced_accordion_faq_questions( $question = null ) {
+	static $questions = array();
+
+	if ( null !== $question ) {
+		$key = md5( strtolower( $question['name'] ) );
+		if ( ! isset( $questions[ $key ] ) ) {
+			$questions[ $key ] = $question;
+		}
+	}
+
+	return array_values( $questions );
+}
+
+/**
+ * Whether the accordions being rendered output FAQ schema, innermost last.
+ *
+ * @param string    $action  'push', 'pop' or 'current'.
+ * @param bool|null $enabled Value to push.
+ * @return bool Whether the innermost accordion outputs FAQ schema.
+ */
+function advanced_accordion_faq_enabled( $action = 'current', $enabled = null ) {
+	static $stack = array();
+
+	if ( 'push' === $action ) {
+		$stack[] = (bool) $enabled;
+	} elseif ( 'pop' === $action ) {
+		array_pop( $stack );
+	}
+
+	return $stack ? end( $stack ) : false;
+}
+
+/**
+ * The most recently rendered panel. A panel renders after its nested
+ * accordions and just before its own item, so that item finds its answer
+ * here.
+ *
+ * @param string|null $html Rendered panel HTML to keep, or null to read.
+ * @return string
+ */
+function advanced_accordion_faq_answer( $html = null ) {
+	static $last = '';
+
+	if ( null !== $html ) {
+		$last = $html;
+	}
+
+	return $last;
+}
+
+/**
+ * Start an accordion: its items contribute questions if it has "Output
+ * FAQ schema" enabled.
+ *
+ * @param array $parsed_block Parsed block about to render.
+ * @return array Unchanged.
+ */
+function advanced_accordion_faq_enter_accordion( $parsed_block ) {
+	if ( 'asuspended/advanced-accordion' === $parsed_block['blockName'] ) {
+		advanced_accordion_faq_enabled( 'push', ! empty( $parsed_block['attrs']['outputFaqSchema'] ) );
+	}
+	return $parsed_block;
+}
+add_filter( 'render_block_data', 'advanced_accordion_faq_enter_accordion' );
+
+/**
+ * End the accordion started in advanced_accordion_faq_enter_accordion().
+ *
+ * @param string $block_content Rendered container HTML (returned unchanged).
+ * @return string
+ */
+function advanced_accordion_faq_leave_accordion( $block_content ) {
+	advanced_accordion_faq_enabled( 'pop' );
+	return $block_content;
+}
+add_filter( 'render_block_asuspended/advanced-accordion', 'advanced_accordion_faq_leave_accordion' );
+
+/**
+ * Keep a panel's rendered HTML for its item's answer.
+ *
+ * @param string $block_content Rendered panel HTML (returned unchanged).
+ * @return string
+ */
+function advanced_accordion_faq_capture_answer( $block_content ) {
+	advanced_accordion_faq_answer( $block_content );
+	return $block_content;
+}
+add_filter( 'render_block_asuspended/accordion-content', 'advanced_accordion_faq_capture_answer' );
+
+/**
+ * Collect an item's Question / Answer pair while it renders.
+ *
+ * @param string $block_content Rendered item HTML (returned unchanged).
+ * @param array  $block         Parsed item block.
+ * @return string
+ */
+function advanced_accordion_collect_faq_schema( $block_content, $block ) {
+	// Claim the panel, so an item without one doesn't pick up another's.
+	$panel = advanced_accordion_faq_answer();
+	advanced_accordion_faq_answer( '' );
+
+	if ( ! advanced_accordion_faq_enabled() || ! empty( $block['attrs']['excludeFromSchema'] ) ) {
+		return $block_content;
+	}
+
+	$heading = null;
+	foreach ( $block['innerBlocks'] as $inner_block ) {
+		if ( 'asuspended/accordion-toggle' === $inner_block['blockName'] ) {
+			$heading = $inner_block['attrs']['heading'] ?? '';
+			break;
+		}
+	}
+	if ( null === $heading || '' === $panel ) {
+		return $block_content;
+	}
+
+	$question = trim( wp_strip_all_tags( $heading ) );
+
+	// Google accepts a small subset of HTML in answers.
+	$answer = wp_kses(
+		$panel,
+		array(
+			'h2'     => array(),
+			'h3'     => array(),
+			'h4'     => array(),
+			'h5'     => array(),
+			'h6'     => array(),
+			'p'      => array(),
+			'br'     => array(),
+			'ol'     => array(),
+			'ul'     => array(),
+			'li'     => array(),
+			'a'      => array( 'href' => true ),
+			'b'      => array(),
+			'strong' => array(),
+			'i'      => array(),
+			'em'     => array(),
+		)
+	);
+	$answer = trim( preg_replace( '/\s+/', ' ', $answer ) );
+
+	if ( '' === $question || '' === wp_strip_all_tags( $answer ) ) {
+		return $block_content;
+	}
+
+	advanced_accordion_faq_questions(
+		array(
+			'@type'          => 'Question',
+			'name'           => $question,
+			'acceptedAnswer' => array(
+				'@type' => 'Answer',
+				'text'  => $answer,
+			),
+		)
+	);
+
+	return $block_content;
+}
+add_filter( 'render_block_asuspended/accordion-item', 'advanced_accordion_collect_faq_schema', 10, 2 );
+
+/**
+ * Print the collected questions as a single FAQPage JSON-LD block.
+ */
+function advanced_accordion_print_faq_schema() {
+	$questions = advanced_accordion_faq_questions();
+	if ( empty( $questions ) ) {
+		return;
+	}
+
+	$schema = array(
+		'@context'   => 'https://schema.org',
+		'@type'      => 'FAQPage',
+		'mainEntity' => $questions,
+	);
+
+	/**
+	 * Filter the FAQPage schema before it is printed.
+	 *
+	 * Return a falsy value to suppress the output, e.g. when an SEO plugin
+	 * already emits FAQ markup.
+	 *
+	 * @param array $schema FAQPage entity.
+	 */
+	$schema = apply_filters( 'advanced_accordion_faq_schema', $schema );
+	if ( empty( $schema ) ) {
+		return;
+	}
+
+	printf(
+		'<script type="application/ld+json">%s</script>' . "\n",
+		wp_json_encode( $schema, JSON_HEX_TAG | JSON_UNESCAPED_UNICODE ) // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	);
+}
+add_action( 'wp_footer', 'advanced_accordion_print_faq_schema' );
@@ -0,0 +1,48 @@
+<?php
+/**
+ * Embedded media in accordion panels.
+ *
+ * The view script pauses YouTube and Vimeo embeds through their
+ * postMessage APIs when an item closes. Vimeo players always listen;
+ * YouTube players only do with enablejsapi=1, which is added here.
+ *
+ * @package AdvancedAccordion
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Prevent direct access.
+}
+
+/**
+ * Add enablejsapi=1 to YouTube iframes inside an item.
+ *
+ * Runs before advanced_accordion_defer_item_media(), so deferred iframes
+ * carry the parameter in their data-aa-src too.
+ *
+ * @param string $block_content Rendered item HTML.
+ * @return string
+ */
+function advanced_accordion_enable_embed_api( $block_content ) {
+	if (
+		false === stripos( $block_content, 'youtube' ) ||
+		! class_exists( 'WP_HTML_Tag_Processor' ) // WordPress < 6.2.
+	) {
+		return $block_content;
+	}
+
+	$processor = new WP_HTML_Tag_Processor( $block_content );
+
+	while ( $processor->next_tag( 'iframe' ) ) {
+		$src = $processor->get_attribute( 'src' );
+		if (
+			is_string( $src ) &&
+			preg_match( '#^(https?:)?//(www\.)?youtube(-nocookie)?\.com/embed/#i', $src ) &&
+			false === strpos( $src, 'enablejsapi=' )
+		) {
+			$processor->set_attribute( 'src', add_query_arg( 'enablejsapi', '1', $src ) );
+		}
+	}
+
+	return $processor->get_updated_html();
+}
+add_filter( 'render_block_asuspended/accordion-item', 'advanced_accordion_enable_embed_api', 9 );
@@ -0,0 +1,237 @@
+<?php
+/**
+ * Server-rendered item state.
+ *
+ * The saved markup leaves IDs, ARIA wiring and the collapsed state to the
+ * view script, so panels show until it runs and then jump shut. Items are
+ * rendered here with their final element IDs, aria-controls /
+ * aria-labelledby, `is-open` and `hidden` instead; the view script picks
+ * that state up as it is.
+ *
+ * Without JavaScript the panels can't be opened, so a
+ * `scripting: none` style shows them all.
+ *
+ * Native <details> items (container markup "details") open and close on
+ * their own; they get the IDs, and the items of an auto-close accordion
+ * share a page-unique `name`, so the browser keeps one of them open.
+ *
+ * Search messages left empty in the editor are filled in translated.
+ *
+ * @package AdvancedAccordion
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Prevent direct access.
+}
+
+/**
+ * Claim an item ID for the document being rendered. An ID already used
+ * by an earlier item in it (a pasted or reused accordion) gets -2, -3…
+ * like the view script does.
+ *
+ * @param string|null $id Wanted ID, or null to start a new document.
+ * @return string Unique ID.
+ */
+function advanced_accordion_claim_item_id( $id ) {
+	static $claimed = array();
+
+	if ( null === $id ) {
+		$claimed = array();
+		return '';
+	}
+
+	$unique = $id;
+	for ( $n = 2; isset( $claimed[ $unique ] ); $n++ ) {
+		$unique = "{$id}-{$n}";
+	}
+	$claimed[ $unique ] = true;
+
+	return $unique;
+}
+
+/**
+ * Start a new document for advanced_accordion_claim_item_id() before the
+ * blocks of a post are rendered. The same content rendered again in one
+ * request – an excerpt, a widget, a feed – keeps its IDs, so deep links
+ * and remembered state still match.
+ *
+ * @param string $content Post content (returned unchanged).
+ * @return string
+ */
+function advanced_accordion_reset_item_ids( $content ) {
+	advanced_accordion_claim_item_id( null );
+	return $content;
+}
+// Before do_blocks() at priority 9.
+add_filter( 'the_content', 'advanced_accordion_reset_item_ids', 8 );
+
+/**
+ * The `name` shared by the <details> items of the accordions being
+ * rendered, innermost last ('' for accordions without one).
+ *
+ * @param string      $action 'push', 'pop' or 'current'.
+ * @param string|null $name   Name to push.
+ * @return string The innermost accordion's name.
+ */
+function advanced_accordion_details_names( $action = 'current', $name = null ) {
+	static $names = array();
+
+	if ( 'push' === $action ) {
+		$names[] = (string) $name;
+	} elseif ( 'pop' === $action ) {
+		array_pop( $names );
+	}
+
+	return $names ? end( $names ) : '';
+}
+
+/**
+ * Start an accordion: items rendered from here on belong to it (until a
+ * nested accordion starts, and again once that one has rendered).
+ *
+ * @param array $parsed_block Parsed block about to render.
+ * @return array Unchanged.
+ */
+function advanced_accordion_enter_accordion( $parsed_block ) {
+	if ( 'asuspended/advanced-accordion' === $parsed_block['blockName'] ) {
+		$attrs     = $parsed_block['attrs'];
+		$exclusive = isset( $attrs['markup'] ) && 'details' === $attrs['markup'] && ! empty( $attrs['autoClose'] );
+
+		advanced_accordion_details_names( 'push', $exclusive ? wp_unique_id( 'aa-accordion-' ) : '' );
+	}
+	return $parsed_block;
+}
+add_filter( 'render_block_data', 'advanced_accordion_enter_accordion' );
+
+/**
+ * End the accordion started in advanced_accordion_enter_accordion().
+ *
+ * @param string $block_content Rendered container HTML (returned unchanged).
+ * @return string
+ */
+function advanced_accordion_leave_accordion( $block_content ) {
+	advanced_accordion_details_names( 'pop' );
+	return $block_content;
+}
+add_filter( 'render_block_asuspended/advanced-accordion', 'advanced_accordion_leave_accordion' );
+
+/**
+ * Add IDs, ARIA and the initial open / collapsed state to an item.
+ *
+ * @param string $block_content Rendered item HTML.
+ * @param array  $block         Parsed item block.
+ * @return string
+ */
+function advanced_accordion_render_item_state( $block_content, $block ) {
+	if ( ! class_exists( 'WP_HTML_Tag_Processor' ) ) { // WordPress < 6.2.
+		return $block_content;
+	}
+
+	$processor = new WP_HTML_Tag_Processor( $block_content );
+
+	if ( ! $processor->next_tag( array( 'class_name' => 'wp-block-accordion-item' ) ) ) {
+		return $block_content;
+	}
+
+	$id = $processor->get_attribute( 'data-item-id' );
+	if ( ! is_string( $id ) || '' === $id ) {
+		$id = wp_unique_id( 'aa-item-' );
+	}
+	$id        = advanced_accordion_claim_item_id( $id );
+	$is_open   = ! empty( $block['attrs']['openByDefault'] );
+	$is_native = 'DETAILS' === $processor->get_tag();
+
+	$processor->set_attribute( 'data-item-id', $id );
+	if ( $is_open ) {
+		$processor->add_class( 'is-open' );
+	}
+	if ( $is_native && '' !== advanced_accordion_details_names() ) {
+		$processor->set_attribute( 'name', advanced_accordion_details_names() );
+	}
+
+	// The item's own toggle and panel come before those of any nested
+	// accordion.
+	if ( ! $processor->next_tag( array( 'class_name' => 'aa-toggle-button' ) ) ) {
+		return $block_content;
+	}
+	$processor->set_attribute( 'id', "{$id}-toggle" );
+	$processor->set_attribute( 'aria-controls', "{$id}-content" );
+	// A <summary> exposes its expanded state natively, also when opened
+	// without JavaScript.
+	if ( ! $is_native ) {
+		$processor->set_attribute( 'aria-expanded', $is_open ? 'true' : 'false' );
+	}
+
+	if ( ! $processor->next_tag( array( 'class_name' => 'wp-block-accordion-content' ) ) ) {
+		return $block_content;
+	}
+	$processor->set_attribute( 'id', "{$id}-content" );
+	$processor->set_attribute( 'aria-labelledby', "{$id}-toggle" );
+	// A closed <details> hides its panel itself.
+	if ( ! $is_open && ! $is_native ) {
+		// Find-in-page can still reveal the text; in browsers without
+		// support the view script swaps it for plain `hidden`.
+		$processor->set_attribute( 'hidden', 'until-found' );
+	}
+
+	return $processor->get_updated_html();
+}
+add_filter( 'render_block_asuspended/accordion-item', 'advanced_accordion_render_item_state', 20, 2 );
+
+/**
+ * Translated search messages for the ones left empty in the editor. The
+ * result count takes its plural form from the number of matches, so it
+ * is passed for every number of items the search can find.
+ *
+ * @param string $block_content Rendered container HTML.
+ * @param array  $block         Parsed container block.
+ * @return string
+ */
+function advanced_accordion_render_search_texts( $block_content, $block ) {
+	if ( ! class_exists( 'WP_HTML_Tag_Processor' ) ) { // WordPress < 6.2.
+		return $block_content;
+	}
+
+	$processor = new WP_HTML_Tag_Processor( $block_content );
+
+	if (
+		! $processor->next_tag( array( 'class_name' => 'wp-block-advanced-accordion' ) ) ||
+		'true' !== $processor->get_attribute( 'data-search' )
+	) {
+		return $block_content;
+	}
+
+	if ( null === $processor->get_attribute( 'data-search-no-results' ) ) {
+		$processor->set_attribute( 'data-search-no-results', __( 'No matching items found.', 'advanced-accordion' ) );
+	}
+
+	if ( null === $processor->get_attribute( 'data-search-results' ) ) {
+		$items = wp_list_filter( $block['innerBlocks'], array( 'blockName' => 'asuspended/accordion-item' ) );
+		$texts = array();
+		for ( $count = 1; $count <= count( $items ); $count++ ) {
+			/* translators: %d: number of matching accordion items. */
+			$texts[ $count ] = _n( '%d matching item', '%d matching items', $count, 'advanced-accordion' );
+		}
+		// Keyed by count: { "1": "%d matching item", "2": … }.
+		$processor->set_attribute( 'data-search-result-counts', (string) wp_json_encode( (object) $texts ) );
+	}
+
+	return $processor->get_updated_html();
+}
+add_filter( 'render_block_asuspended/advanced-accordion', 'advanced_accordion_render_search_texts', 10, 2 );
+
+/**
+ * Show every panel when JavaScript is off. Added to the container's
+ * stylesheet, so it is on every page that loads an accordion.
+ */
+function advanced_accordion_noscript_fallback() {
+	$css = '.wp-block-accordion-content[hidden],div.wp-block-accordion-content{display:block!important;max-height:none!important;overflow:visible!important;visibility:visible!important;content-visibility:visible!important;pointer-events:auto!important}'
+		. '.aa-toggle-icon,.aa-copy-link{display:none!important}';
+
+	wp_add_inline_style(
+		generate_block_asset_handle( 'asuspended/advanced-accordion', 'style' ),
+		'@media (scripting:none){' . $css . '}'
+	);
+}
+// After the blocks are registered.
+add_action( 'init', 'advanced_accordion_noscript_fallback', 20 );
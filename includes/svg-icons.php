@@ -0,0 +1,139 @@
+<?php
+/**
+ * Uploaded SVG toggle icons.
+ *
+ * Uploaded icons are inlined so they follow the toggle's text colour, but
+ * post content only carries an empty placeholder for them: kses strips
+ * <svg> from the posts of users without the unfiltered_html capability,
+ * which would leave the toggle invalid in the editor. The icon is filled
+ * in here while the toggle renders – from the toggle's attribute, or from
+ * the attachment file when the attribute didn't survive kses – and
+ * sanitized like the editor's sanitizer (sanitize-svg.js) does: plain
+ * shapes only, coloured with currentColor.
+ *
+ * @package AdvancedAccordion
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Prevent direct access.
+}
+
+/**
+ * Elements and attributes an icon may use.
+ *
+ * @return array[] kses allowlist.
+ */
+function advanced_accordion_svg_icon_allowlist() {
+	// Lowercase: kses compares attribute names case-insensitively.
+	$attributes = array_fill_keys(
+		array(
+			'viewbox',
+			'xmlns',
+			'd',
+			'points',
+			'cx',
+			'cy',
+			'r',
+			'rx',
+			'ry',
+			'x',
+			'y',
+			'x1',
+			'y1',
+			'x2',
+			'y2',
+			'width',
+			'height',
+			'transform',
+			'opacity',
+			'fill',
+			'fill-rule',
+			'fill-opacity',
+			'clip-rule',
+			'stroke',
+			'stroke-width',
+			'stroke-linecap',
+			'stroke-linejoin',
+			'stroke-miterlimit',
+			'stroke-dasharray',
+			'stroke-dashoffset',
+			'stroke-opacity',
+			'focusable',
+		),
+		true
+	);
+
+	return array_fill_keys(
+		array( 'svg', 'g', 'path', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'rect' ),
+		$attributes
+	);
+}
+
+/**
+ * Sanitized markup of an uploaded icon.
+ *
+ * @param string $svg           SVG markup saved with the toggle.
+ * @param int    $attachment_id The uploaded file, used if `$svg` is empty.
+ * @return string SVG markup, or '' if there is none.
+ */
+function advanced_accordion_svg_icon( $svg, $attachment_id ) {
+	if ( '' === trim( $svg ) && $attachment_id && 'image/svg+xml' === get_post_mime_type( $attachment_id ) ) {
+		$file = get_attached_file( $attachment_id );
+		$svg  = $file && is_readable( $file ) ? (string) file_get_contents( $file ) : ''; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+	}
+
+	// Drop what an SVG file may hold besides the shapes, text included.
+	$svg = preg_replace( '#<(title|desc|style|script|metadata)\b.*?</\1\s*>#is', '', $svg );
+
+	// kses leaves every attribute as name="value".
+	$svg = wp_kses( $svg, advanced_accordion_svg_icon_allowlist() );
+	$svg = preg_replace( '#\s[a-z-]+="[^"]*(?:url\s*\(|javascript:)[^"]*"#i', '', $svg );
+	$svg = preg_replace( '#\s(fill|stroke)="(?!none")[^"]*"#i', ' $1="currentColor"', $svg );
+
+	return trim( $svg );
+}
+
+/**
+ * Fill a toggle's icon placeholders with its uploaded SVGs, closed icon
+ * first.
+ *
+ * @param string $block_content Rendered toggle HTML.
+ * @param array  $block         Parsed toggle block.
+ * @return string
+ */
+function advanced_accordion_render_svg_icons( $block_content, $block ) {
+	$placeholder = '<span class="aa-icon-svg"></span>';
+	if ( false === strpos( $block_content, $placeholder ) ) {
+		return $block_content;
+	}
+
+	$attrs = $block['attrs'];
+	$icons = array();
+	foreach ( array(
+		'iconClosed' => array( 'customIconSvg', 'customIconSvgId' ),
+		'iconOpen'   => array( 'customIconOpenSvg', 'customIconOpenSvgId' ),
+	) as $key => list( $svg_attr, $id_attr ) ) {
+		$svg = $attrs[ $svg_attr ] ?? '';
+		$id  = (int) ( $attrs[ $id_attr ] ?? 0 );
+		// Saved without a placeholder otherwise (see icons.js).
+		if ( 'custom' === ( $attrs[ $key ] ?? '' ) && ( '' !== $svg || $id ) ) {
+			$icons[] = advanced_accordion_svg_icon( $svg, $id );
+		}
+	}
+
+	foreach ( $icons as $icon ) {
+		$position = strpos( $block_content, $placeholder );
+		if ( false === $position ) {
+			break;
+		}
+		$block_content = substr_replace(
+			$block_content,
+			'<span class="aa-icon-svg">' . $icon . '</span>',
+			$position,
+			strlen( $placeholder )
+		);
+	}
+
+	return $block_content;
+}
+add_filter( 'render_block_asuspended/accordion-toggle', 'advanced_accordion_render_svg_icons', 10, 2 );
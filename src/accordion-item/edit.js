@@ -2,10 +2,12 @@
  * Accordion Item – Edit Component
  *
  * Each item wraps a toggle + content pair and exposes per-item settings such
- * as "open by default", link-group ID, and animation overrides.
+ * as "open by default", link-group ID, and animation overrides. Whether the
+ * item is expanded in the canvas is editor preview state (see
+ * preview-store.js), not "open by default".
  */
 
-import { __ } from '@wordpress/i18n';
+import { __, sprintf } from '@wordpress/i18n';
 import {
 	useBlockProps,
 	useInnerBlocksProps,
@@ -17,9 +19,19 @@ import {
 	RangeControl,
 	SelectControl,
 	TextControl,
+	ComboboxControl,
 } from '@wordpress/components';
-import { useEffect } from '@wordpress/element';
-import { useSelect } from '@wordpress/data';
+import { useEffect, useState } from '@wordpress/element';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { store as previewStore } from '../preview-store';
+import { sanitizeItemId, releaseItemIds } from './item-id';
+import {
+	useLinkGroups,
+	groupColor,
+	groupSettings,
+	LINK_MODE_OPTIONS,
+	LINK_SCOPE_OPTIONS,
+} from '../link-groups';
 
 const TEMPLATE = [
 	[ 'asuspended/accordion-toggle', { heading: 'Accordion Item', lock: { move: true, remove: true } } ],
@@ -35,6 +47,12 @@ const ALLOWED_BLOCKS = [
 	'asuspended/accordion-content',
 ];
 
+const STICKY_TOGGLE_OPTIONS = [
+	{ label: 'Use accordion setting', value: '' },
+	{ label: 'On', value: 'on' },
+	{ label: 'Off', value: 'off' },
+];
+
 const EASING_OPTIONS = [
 	{ label: 'Linear', value: 'linear' },
 	{ label: 'Ease', value: 'ease' },
@@ -44,10 +62,136 @@ const EASING_OPTIONS = [
 	{ label: 'Custom cubic-bezier', value: 'custom' },
 ];
 
-export default function ItemEdit( { attributes, setAttributes, clientId } ) {
+/**
+ * Link group field and the group's settings. Walks the whole document for
+ * its groups, so it is only rendered for the selected item.
+ *
+ * @param {Object}   props
+ * @param {Object}   props.attributes    Item attributes.
+ * @param {Function} props.setAttributes Item attribute setter.
+ */
+function LinkGroupControls( { attributes, setAttributes } ) {
+	const { linkGroupId, linkGroupLeader } = attributes;
+	const { updateBlockAttributes } = useDispatch( 'core/block-editor' );
+
+	// Linked groups in the document: suggestions for the group field and
+	// how many items share this item's group.
+	const linkGroups = useLinkGroups();
+	const groupMembers = linkGroups.get( linkGroupId ) || [];
+	const linkedCount = groupMembers.length;
+	const group = groupSettings( groupMembers );
+	const hasLink = linkGroupId && linkGroupId.length > 0;
+
+	// Mode and scope belong to the group: change them on every member.
+	const setGroupSettings = ( settings ) =>
+		updateBlockAttributes(
+			groupMembers.map( ( member ) => member.clientId ),
+			settings
+		);
+	const [ groupFilter, setGroupFilter ] = useState( '' );
+
+	const groupOptions = Array.from( linkGroups, ( [ id, members ] ) => ( {
+		value: id,
+		label: `${ id } (${ members.length })`,
+	} ) );
+	const newGroup = groupFilter.trim();
+	if ( newGroup && ! linkGroups.has( newGroup ) ) {
+		groupOptions.push( {
+			value: newGroup,
+			label: sprintf(
+				/* translators: %s: new link group ID. */
+				__( 'New group "%s"', 'advanced-accordion' ),
+				newGroup
+			),
+		} );
+	}
+
+	return (
+		<>
+			<ComboboxControl
+				label={ __( 'Link Group ID', 'advanced-accordion' ) }
+				help={
+					hasLink
+						? sprintf(
+								/* translators: %d: number of items in the group. */
+								__(
+									'%d item(s) share this group. Manage groups in the Linked Groups panel of the document settings.',
+									'advanced-accordion'
+								),
+								linkedCount
+						  )
+						: __(
+								'Items with the same group ID toggle together across the page. Pick an existing group or type a new one.',
+								'advanced-accordion'
+						  )
+				}
+				value={ linkGroupId || null }
+				options={ groupOptions }
+				onFilterValueChange={ setGroupFilter }
+				onChange={ ( val ) => {
+					// Joining an existing group adopts its settings.
+					const joined = linkGroups.get( val );
+					setAttributes( {
+						linkGroupId: val || '',
+						...( joined && {
+							linkGroupMode: groupSettings( joined ).mode,
+							linkGroupScope: groupSettings( joined ).scope,
+						} ),
+					} );
+				} }
+			/>
+			{ hasLink && (
+				<>
+					<SelectControl
+						label={ __( 'Group behavior', 'advanced-accordion' ) }
+						value={ group.mode }
+						options={ LINK_MODE_OPTIONS }
+						onChange={ ( val ) =>
+							setGroupSettings( { linkGroupMode: val } )
+						}
+					/>
+					{ group.mode === 'leader' && (
+						<ToggleControl
+							label={ __( 'Group leader', 'advanced-accordion' ) }
+							help={ __(
+								'Opening or closing a leader opens or closes the whole group; followers only toggle themselves.',
+								'advanced-accordion'
+							) }
+							checked={ linkGroupLeader }
+							onChange={ ( val ) =>
+								setAttributes( { linkGroupLeader: val } )
+							}
+						/>
+					) }
+					<SelectControl
+						label={ __( 'Group scope', 'advanced-accordion' ) }
+						help={ __(
+							'Limit the group to items in the same post (e.g. on archive pages) or the same section (Group or Cover block).',
+							'advanced-accordion'
+						) }
+						value={ group.scope }
+						options={ LINK_SCOPE_OPTIONS }
+						onChange={ ( val ) =>
+							setGroupSettings( { linkGroupScope: val } )
+						}
+					/>
+				</>
+			) }
+		</>
+	);
+}
+
+export default function ItemEdit( {
+	attributes,
+	setAttributes,
+	clientId,
+	context,
+	isSelected,
+} ) {
 	const {
 		openByDefault,
 		linkGroupId,
+		stickyToggle,
 		overrideAnimationDuration,
 		animationDuration,
 		overrideAnimationEasing,
@@ -60,54 +204,86 @@ export default function ItemEdit( { attributes, setAttributes, clientId } ) {
 		staggerDelay,
 		customClassName,
 		itemId,
+		slugId,
+		itemIdLocked,
+		excludeFromSchema,
+		deferContent,
+		prefetchOnHover,
+		resumeMedia,
+		markup,
 	} = attributes;
 
-	// Generate a stable unique ID for this item (used in aria-controls).
+	// The container keeps item IDs unique (useItemIds()); a removed
+	// item hands its ID back.
+	useEffect( () => () => releaseItemIds( clientId ), [ clientId ] );
+
+	const { __unstableMarkNextChangeAsNotPersistent } =
+		useDispatch( 'core/block-editor' );
+
+	// Save functions can't read context: mirror the container's markup
+	// (<div> or <details>) for save(), again without an undo level.
+	const contextMarkup = context[ 'asuspended/markup' ] || 'div';
 	useEffect( () => {
-		if ( ! itemId ) {
-			setAttributes( {
-				itemId: `aa-item-${ clientId.substring( 0, 8 ) }`,
-			} );
+		if ( contextMarkup !== markup ) {
+			__unstableMarkNextChangeAsNotPersistent();
+			setAttributes( { markup: contextMarkup } );
 		}
-	}, [ clientId, itemId, setAttributes ] );
+	}, [
+		contextMarkup,
+		markup,
+		setAttributes,
+		__unstableMarkNextChangeAsNotPersistent,
+	] );
 
-	// Determine whether this item is part of a linked group and how many
-	// siblings share the same group ID (editor visual feedback).
-	const linkedCount = useSelect(
+	// Preview state. In focus mode only the item holding the selection is
+	// expanded; otherwise the toggle (or the toolbar) decides.
+	const { isPreviewOpen, isContentSelected } = useSelect(
 		( select ) => {
-			if ( ! linkGroupId ) return 0;
-			const { getBlocksByClientId, getBlockOrder } =
-				select( 'core/block-editor' );
-			const { getBlockParents } = select( 'core/block-editor' );
-			// Walk all accordion-item blocks on the page.
-			const allBlocks =
-				select( 'core/block-editor' ).getBlocks() || [];
-			let count = 0;
+			const {
+				getBlockRootClientId,
+				getBlockOrder,
+				getBlockName,
+				getSelectedBlockClientId,
+				hasSelectedInnerBlock,
+			} = select( 'core/block-editor' );
+			const { isItemOpen, isFocusMode } = select( previewStore );
 
-			const walk = ( blocks ) => {
-				for ( const block of blocks ) {
-					if (
-						block.name === 'asuspended/accordion-item' &&
-						block.attributes.linkGroupId === linkGroupId
-					) {
-						count++;
-					}
-					if ( block.innerBlocks?.length ) {
-						walk( block.innerBlocks );
-					}
-				}
+			const contentId = getBlockOrder( clientId ).find(
+				( id ) => getBlockName( id ) === 'asuspended/accordion-content'
+			);
+			const contentSelected =
+				!! contentId &&
+				( getSelectedBlockClientId() === contentId ||
+					hasSelectedInnerBlock( contentId, true ) );
+
+			const isActive =
+				getSelectedBlockClientId() === clientId ||
+				hasSelectedInnerBlock( clientId, true );
+
+			return {
+				isPreviewOpen: isFocusMode( getBlockRootClientId( clientId ) )
+					? isActive
+					: isItemOpen( clientId ),
+				isContentSelected: contentSelected,
 			};
-			walk( allBlocks );
-			return count;
 		},
-		[ linkGroupId ]
+		[ clientId ]
 	);
 
+	// Selecting a block inside a collapsed panel (e.g. from List View)
+	// expands it – and keeps it expanded while the selection is inside.
+	const { setItemsOpen } = useDispatch( previewStore );
+	useEffect( () => {
+		if ( isContentSelected && ! isPreviewOpen ) {
+			setItemsOpen( [ clientId ], true );
+		}
+	}, [ isContentSelected, isPreviewOpen, clientId, setItemsOpen ] );
+
 	const hasLink = linkGroupId && linkGroupId.length > 0;
 
 	const classNames = [
 		'wp-block-accordion-item',
-		openByDefault ? 'is-open' : '',
+		isPreviewOpen ? 'is-open' : 'is-preview-collapsed',
 		hasLink ? 'has-link-group' : '',
 		customClassName || '',
 	]
@@ -119,6 +295,10 @@ export default function ItemEdit( { attributes, setAttributes, clientId } ) {
 		'data-item-id': itemId,
 		'data-link-group': linkGroupId || undefined,
 		'data-open-default': openByDefault ? 'true' : 'false',
+		// Badge and border colour of the group.
+		style: hasLink
+			? { '--aa-link-color': groupColor( linkGroupId ) }
+			: undefined,
 	} );
 
 	const innerBlocksProps = useInnerBlocksProps(
@@ -145,21 +325,65 @@ export default function ItemEdit( { attributes, setAttributes, clientId } ) {
 							setAttributes( { openByDefault: val } )
 						}
 					/>
+					<SelectControl
+						label={ __( 'Sticky toggle', 'advanced-accordion' ) }
+						help={ __(
+							'Keep the toggle on screen while the open content is scrolled.',
+							'advanced-accordion'
+						) }
+						value={ stickyToggle }
+						options={ STICKY_TOGGLE_OPTIONS }
+						onChange={ ( val ) =>
+							setAttributes( { stickyToggle: val } )
+						}
+					/>
+					{ isSelected && (
+						<LinkGroupControls
+							attributes={ attributes }
+							setAttributes={ setAttributes }
+						/>
+					) }
 					<TextControl
-						label={ __( 'Link Group ID', 'advanced-accordion' ) }
-						help={
-							hasLink
-								? `${ linkedCount } item(s) share this group.`
-								: __(
-										'Items with the same group ID toggle together across the page.',
-										'advanced-accordion'
-								  )
+						label={ __( 'Item ID', 'advanced-accordion' ) }
+						help={ __(
+							'Used for deep links (#id) and remembered state. Must be unique on the page; copies get a new one.',
+							'advanced-accordion'
+						) }
+						value={ itemId }
+						onChange={ ( val ) =>
+							setAttributes( {
+								itemId: sanitizeItemId( val ),
+								itemIdLocked: true,
+							} )
 						}
-						value={ linkGroupId }
+					/>
+					<ToggleControl
+						label={ __(
+							'Generate ID from heading',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'e.g. "Shipping costs" becomes aa-shipping-costs. Once the post is saved, the ID no longer follows the heading, so shared links keep working.',
+							'advanced-accordion'
+						) }
+						checked={ slugId }
 						onChange={ ( val ) =>
-							setAttributes( { linkGroupId: val } )
+							setAttributes( { slugId: val, itemIdLocked: false } )
 						}
 					/>
+					{ slugId && (
+						<ToggleControl
+							label={ __( 'Lock ID', 'advanced-accordion' ) }
+							help={ __(
+								'Keep the current ID when the heading changes, even before the post is saved.',
+								'advanced-accordion'
+							) }
+							checked={ itemIdLocked }
+							onChange={ ( val ) =>
+								setAttributes( { itemIdLocked: val } )
+							}
+						/>
+					) }
 					<TextControl
 						label={ __( 'Custom CSS Class', 'advanced-accordion' ) }
 						value={ customClassName }
@@ -167,6 +391,71 @@ export default function ItemEdit( { attributes, setAttributes, clientId } ) {
 							setAttributes( { customClassName: val } )
 						}
 					/>
+					<ToggleControl
+						label={ __(
+							'Exclude from FAQ schema',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Only applies when the accordion outputs FAQ schema.',
+							'advanced-accordion'
+						) }
+						checked={ excludeFromSchema }
+						onChange={ ( val ) =>
+							setAttributes( { excludeFromSchema: val } )
+						}
+					/>
+					<ToggleControl
+						label={ __(
+							'Resume media on reopen',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Videos and audio paused when this item closed continue playing when it opens again.',
+							'advanced-accordion'
+						) }
+						checked={ resumeMedia }
+						onChange={ ( val ) =>
+							setAttributes( { resumeMedia: val } )
+						}
+					/>
+				</PanelBody>
+
+				{ /* ── Performance ────────────────────────────────── */ }
+				<PanelBody
+					title={ __( 'Performance', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __(
+							'Defer content until opened',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Images, videos and embeds in this item load the first time it opens. Ignored for items open by default.',
+							'advanced-accordion'
+						) }
+						checked={ deferContent }
+						onChange={ ( val ) =>
+							setAttributes( { deferContent: val } )
+						}
+					/>
+					{ deferContent && (
+						<ToggleControl
+							label={ __(
+								'Prefetch on hover or focus',
+								'advanced-accordion'
+							) }
+							help={ __(
+								'Start loading when the pointer rests on the toggle or it receives keyboard focus.',
+								'advanced-accordion'
+							) }
+							checked={ prefetchOnHover }
+							onChange={ ( val ) =>
+								setAttributes( { prefetchOnHover: val } )
+							}
+						/>
+					) }
 				</PanelBody>
 
 				{ /* ── Animation Overrides ────────────────────────── */ }
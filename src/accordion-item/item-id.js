@@ -0,0 +1,209 @@
+/**
+ * Accordion Item – IDs
+ *
+ * Every item needs an ID that is unique on the page: it becomes
+ * data-item-id, the toggle / panel element IDs and the deep-link
+ * fragment. Duplicating an item or pasting an accordion copies the
+ * attribute, so the editor re-issues IDs that another item already owns.
+ * Each container resolves the IDs of its own items (useItemIds()).
+ */
+
+import { select, useSelect, useDispatch } from '@wordpress/data';
+import { useEffect } from '@wordpress/element';
+import { cleanForSlug } from '@wordpress/url';
+
+/**
+ * itemId → clientId of the item that claimed it first. Copies are
+ * resolved after their original, find the ID claimed and get a new one;
+ * the original keeps it, so links to it keep working. Items release
+ * their claims when they are removed (see releaseItemIds()).
+ */
+const claimed = new Map();
+
+/**
+ * Readable ID from a toggle heading, e.g. "Shipping costs" →
+ * "aa-shipping-costs". Empty if the heading has no usable text.
+ *
+ * @param {string} heading Toggle heading (may contain inline HTML).
+ * @return {string} Item ID, or ''.
+ */
+export function slugFromHeading( heading ) {
+	const text = ( heading || '' ).replace( /<[^>]*>/g, ' ' );
+	const slug = cleanForSlug( text ).slice( 0, 50 ).replace( /-+$/, '' );
+	return slug ? `aa-${ slug }` : '';
+}
+
+/**
+ * Limit a typed ID to characters that are safe in id attributes and URL
+ * fragments.
+ *
+ * @param {string} value Typed ID.
+ * @return {string} Sanitized ID.
+ */
+export function sanitizeItemId( value ) {
+	return value.replace( /\s+/g, '-' ).replace( /[^A-Za-z0-9_-]/g, '' );
+}
+
+/**
+ * How many items in the editor have each ID.
+ *
+ * @return {Map<string, number>} Item ID → number of items.
+ */
+function countItemIds() {
+	const counts = new Map();
+	const walk = ( blocks ) => {
+		for ( const block of blocks ) {
+			const { itemId } = block.attributes;
+			if ( block.name === 'asuspended/accordion-item' && itemId ) {
+				counts.set( itemId, ( counts.get( itemId ) || 0 ) + 1 );
+			}
+			if ( block.innerBlocks?.length ) {
+				walk( block.innerBlocks );
+			}
+		}
+	};
+	walk( select( 'core/block-editor' ).getBlocks() );
+	return counts;
+}
+
+/**
+ * Whether another item that still has `id` claimed it first.
+ *
+ * @param {string} id       Item ID.
+ * @param {string} clientId Client ID of the item asking.
+ * @return {boolean} Whether the ID is taken.
+ */
+function isClaimedByOther( id, clientId ) {
+	const owner = claimed.get( id );
+	return (
+		!! owner &&
+		owner !== clientId &&
+		select( 'core/block-editor' ).getBlockAttributes( owner )?.itemId === id
+	);
+}
+
+/**
+ * The ID an item should have: `wanted` if no other item owns it, else
+ * the first free `wanted-2`, `wanted-3`…
+ *
+ * @param {string}              wanted   Preferred ID.
+ * @param {string}              current  The item's current ID.
+ * @param {string}              clientId The item's block client ID.
+ * @param {Map<string, number>} counts   See countItemIds(); updated.
+ * @return {string} Unique item ID.
+ */
+function resolveItemId( wanted, current, clientId, counts ) {
+	// Used by an item other than this one.
+	const isTaken = ( id ) =>
+		( counts.get( id ) || 0 ) > ( id === current ? 1 : 0 );
+
+	let id = wanted;
+	const keep =
+		wanted === current &&
+		! ( isTaken( wanted ) && isClaimedByOther( wanted, clientId ) );
+
+	if ( ! keep ) {
+		for ( let n = 2; isTaken( id ); n++ ) {
+			id = `${ wanted }-${ n }`;
+		}
+	}
+
+	if ( id !== current ) {
+		if ( current ) {
+			counts.set( current, counts.get( current ) - 1 );
+		}
+		counts.set( id, ( counts.get( id ) || 0 ) + 1 );
+	}
+	claimed.set( id, clientId );
+	return id;
+}
+
+/**
+ * Release the IDs a removed item claimed, so the next item can have them.
+ *
+ * @param {string} clientId The item's block client ID.
+ */
+export function releaseItemIds( clientId ) {
+	claimed.forEach( ( owner, id ) => {
+		if ( owner === clientId ) {
+			claimed.delete( id );
+		}
+	} );
+}
+
+/**
+ * Heading of an item's toggle.
+ *
+ * @param {Object} item Item block.
+ * @return {string} Heading (may contain inline HTML).
+ */
+function itemHeading( item ) {
+	return (
+		item.innerBlocks.find(
+			( block ) => block.name === 'asuspended/accordion-toggle'
+		)?.attributes.heading || ''
+	);
+}
+
+/**
+ * Keep the IDs of a container's items unique: generated when empty,
+ * following the heading while readable IDs are on – until the ID is
+ * locked or saved, so links already shared keep working – and re-issued
+ * when another item already owns it. Not a user edit, so it doesn't
+ * create an undo level.
+ *
+ * @param {string} clientId Container client ID.
+ */
+export function useItemIds( clientId ) {
+	const items = useSelect(
+		( sel ) => sel( 'core/block-editor' ).getBlocks( clientId ),
+		[ clientId ]
+	);
+	// The post as last saved (outside the post editor: nothing saved).
+	const savedContent = useSelect(
+		( sel ) => sel( 'core/editor' )?.getCurrentPost?.()?.content || '',
+		[]
+	);
+	const { __unstableMarkNextChangeAsNotPersistent, updateBlockAttributes } =
+		useDispatch( 'core/block-editor' );
+
+	useEffect( () => {
+		const counts = countItemIds();
+		const updates = {};
+
+		items.forEach( ( item ) => {
+			if ( item.name !== 'asuspended/accordion-item' ) {
+				return;
+			}
+			const { itemId, slugId, itemIdLocked } = item.attributes;
+			const frozen =
+				itemIdLocked ||
+				( !! itemId &&
+					savedContent.includes( `"itemId":"${ itemId }"` ) );
+			const fromHeading =
+				slugId && ! frozen
+					? slugFromHeading( itemHeading( item ) )
+					: '';
+			const wanted =
+				fromHeading ||
+				itemId ||
+				`aa-item-${ item.clientId.substring( 0, 8 ) }`;
+			const next = resolveItemId( wanted, itemId, item.clientId, counts );
+
+			if ( next !== itemId ) {
+				updates[ item.clientId ] = { itemId: next };
+			}
+		} );
+
+		const changed = Object.keys( updates );
+		if ( changed.length ) {
+			__unstableMarkNextChangeAsNotPersistent();
+			updateBlockAttributes( changed, updates, true );
+		}
+	}, [
+		items,
+		savedContent,
+		__unstableMarkNextChangeAsNotPersistent,
+		updateBlockAttributes,
+	] );
+}
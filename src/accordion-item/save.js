@@ -11,6 +11,10 @@ export default function itemSave( { attributes } ) {
 	const {
 		openByDefault,
 		linkGroupId,
+		linkGroupMode,
+		linkGroupScope,
+		linkGroupLeader,
+		stickyToggle,
 		overrideAnimationDuration,
 		animationDuration,
 		overrideAnimationEasing,
@@ -23,8 +27,17 @@ export default function itemSave( { attributes } ) {
 		staggerDelay,
 		customClassName,
 		itemId,
+		deferContent,
+		prefetchOnHover,
+		resumeMedia,
+		markup,
 	} = attributes;
 
+	// Native <details>: open by default is its `open` attribute. The
+	// exclusive `name` for auto-close is added on the server, unique per
+	// accordion (includes/server-render.php).
+	const isNative = markup === 'details';
+
 	const dataAttrs = {
 		'data-item-id': itemId,
 		'data-open-default': openByDefault ? 'true' : 'false',
@@ -32,6 +45,36 @@ export default function itemSave( { attributes } ) {
 
 	if ( linkGroupId ) {
 		dataAttrs[ 'data-link-group' ] = linkGroupId;
+
+		// Mirror mode and page scope are the defaults; omitted.
+		if ( linkGroupMode !== 'mirror' ) {
+			dataAttrs[ 'data-link-mode' ] = linkGroupMode;
+		}
+		if ( linkGroupMode === 'leader' && linkGroupLeader ) {
+			dataAttrs[ 'data-link-role' ] = 'leader';
+		}
+		if ( linkGroupScope !== 'page' ) {
+			dataAttrs[ 'data-link-scope' ] = linkGroupScope;
+		}
+	}
+
+	// Overrides the container's sticky toggles setting.
+	if ( stickyToggle ) {
+		dataAttrs[ 'data-sticky-toggle' ] =
+			stickyToggle === 'on' ? 'true' : 'false';
+	}
+
+	// Media in the panel is output inert (server-side, see
+	// includes/deferred-content.php) and hydrated by the frontend script.
+	if ( deferContent ) {
+		dataAttrs[ 'data-defer-content' ] = 'true';
+		if ( prefetchOnHover ) {
+			dataAttrs[ 'data-defer-prefetch' ] = 'true';
+		}
+	}
+
+	if ( resumeMedia ) {
+		dataAttrs[ 'data-resume-media' ] = 'true';
 	}
 
 	// Per-item animation overrides are stored as data attributes so the
@@ -63,9 +106,14 @@ export default function itemSave( { attributes } ) {
 	const blockProps = useBlockProps.save( {
 		className: classNames,
 		...dataAttrs,
+		...( isNative && openByDefault && { open: true } ),
 	} );
 
 	const innerBlocksProps = useInnerBlocksProps.save( blockProps );
 
-	return <div { ...innerBlocksProps } />;
+	return isNative ? (
+		<details { ...innerBlocksProps } />
+	) : (
+		<div { ...innerBlocksProps } />
+	);
 }
@@ -0,0 +1,25 @@
+/**
+ * Accordion Toggle – Deprecated Versions
+ *
+ * Handles blocks saved with previous save formats to prevent validation errors.
+ */
+
+import metadata from './block.json';
+import { saveToggle } from './save';
+
+// The attachment IDs came with the server-filled placeholders.
+const { customIconSvgId, customIconOpenSvgId, ...inlineSvgAttributes } =
+	metadata.attributes;
+
+const deprecated = [
+	{
+		// Uploaded SVG icons inlined in the saved markup.
+		attributes: inlineSvgAttributes,
+		supports: metadata.supports,
+		save( { attributes } ) {
+			return saveToggle( attributes, { inlineSvg: true } );
+		},
+	},
+];
+
+export default deprecated;
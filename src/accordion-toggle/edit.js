@@ -3,7 +3,11 @@
  *
  * The clickable heading area. Uses RichText for the heading and shows an
  * optional expand/collapse icon. In the editor this also supports per-toggle
- * settings like heading level, icon position, and custom icon upload.
+ * settings like heading level, icon position, the closed / open icons (from
+ * the built-in library or an uploaded SVG) and custom icon upload. Heading
+ * level, icon position and rotation can inherit the container defaults.
+ * Clicking the toggle outside its text expands or collapses the item's
+ * panel in the editor preview.
  */
 
 import { __ } from '@wordpress/i18n';
@@ -18,10 +22,26 @@ import {
 	PanelBody,
 	SelectControl,
 	ToggleControl,
+	TextControl,
+	RangeControl,
 	Button,
 } from '@wordpress/components';
+import { useSelect, useDispatch } from '@wordpress/data';
+import { useEffect, useMemo, useState } from '@wordpress/element';
+import {
+	ToggleIcon,
+	CopyLinkIcon,
+	ICONS,
+	ICON_SETS,
+	canMorph,
+	iconStyleVars,
+} from './icons';
+import sanitizeSvg from './sanitize-svg';
+import { inheritedFromContext, resolveToggleSettings } from './inheritance';
+import { store as previewStore } from '../preview-store';
 
 const HEADING_OPTIONS = [
+	{ label: 'Inherit from container', value: '' },
 	{ label: 'H2', value: 'h2' },
 	{ label: 'H3', value: 'h3' },
 	{ label: 'H4', value: 'h4' },
@@ -37,7 +57,139 @@ const ICON_POSITION_OPTIONS = [
 	{ label: 'None', value: 'none' },
 ];
 
-export default function ToggleEdit( { attributes, setAttributes } ) {
+const ICON_ROTATION_OPTIONS = [
+	{ label: 'Inherit from container', value: '' },
+	{ label: 'Rotate', value: 'true' },
+	{ label: "Don't rotate", value: 'false' },
+];
+
+const ICON_OPTIONS = Object.entries( ICONS ).map( ( [ value, { label } ] ) => ( {
+	label,
+	value,
+} ) );
+
+const ICON_SET_OPTIONS = [
+	{ label: 'Default (chevron)', value: '' },
+	...Object.entries( ICON_SETS ).map( ( [ value, { label } ] ) => ( {
+		label,
+		value,
+	} ) ),
+	{ label: 'Custom', value: 'custom' },
+];
+
+const TRANSITION_OPTIONS = [
+	{ label: 'Cross-fade', value: 'crossfade' },
+	{ label: 'Morph', value: 'morph' },
+];
+
+/**
+ * Fetch an uploaded SVG and return its sanitized markup. Rejects if the
+ * file can't be fetched or isn't a usable SVG.
+ *
+ * @param {string} url File URL.
+ * @return {Promise<string>} Sanitized SVG markup.
+ */
+async function loadSvg( url ) {
+	const response = await window.fetch( url );
+	if ( ! response.ok ) {
+		throw new Error( response.statusText );
+	}
+	const svg = sanitizeSvg( await response.text() );
+	if ( ! svg ) {
+		throw new Error( 'Invalid SVG' );
+	}
+	return svg;
+}
+
+/**
+ * Error notice for an SVG loadSvg() couldn't load.
+ */
+function useSvgErrorNotice() {
+	const { createErrorNotice } = useDispatch( 'core/notices' );
+	return () =>
+		createErrorNotice(
+			__( 'The SVG icon could not be loaded.', 'advanced-accordion' ),
+			{ type: 'snackbar' }
+		);
+}
+
+/**
+ * Markup to preview an uploaded SVG with. The server fills the icon in
+ * from the attachment, so when the markup didn't survive saving (HTML
+ * filtered for authors without unfiltered_html) it is fetched again.
+ *
+ * @param {string} svg Sanitized SVG markup from the attributes.
+ * @param {number} id  Attachment ID.
+ * @return {string} SVG markup, or '' while unknown.
+ */
+function useSvgPreview( svg, id ) {
+	const url = useSelect(
+		( select ) =>
+			! svg && id ? select( 'core' ).getMedia( id )?.source_url : null,
+		[ svg, id ]
+	);
+	const [ fetched, setFetched ] = useState( '' );
+
+	useEffect( () => {
+		if ( ! url ) {
+			return;
+		}
+		let current = true;
+		// Without it the preview just shows no icon.
+		loadSvg( url )
+			.then( ( markup ) => current && setFetched( markup ) )
+			.catch( () => current && setFetched( '' ) );
+		return () => {
+			current = false;
+		};
+	}, [ url ] );
+
+	return svg || ( url ? fetched : '' );
+}
+
+/**
+ * Media library button that inlines the chosen SVG.
+ *
+ * @param {Object}   props
+ * @param {boolean}  props.hasSvg   Whether an icon is uploaded already.
+ * @param {Function} props.onChange Called with the sanitized markup and
+ *                                  the attachment ID.
+ */
+function SvgUpload( { hasSvg, onChange } ) {
+	const onError = useSvgErrorNotice();
+
+	return (
+		<MediaUploadCheck>
+			<MediaUpload
+				onSelect={ ( media ) =>
+					loadSvg( media.url )
+						.then( ( svg ) => onChange( svg, media.id ) )
+						.catch( onError )
+				}
+				allowedTypes={ [ 'image/svg+xml' ] }
+				render={ ( { open } ) => (
+					<Button
+						onClick={ open }
+						variant="secondary"
+						isSmall
+						style={ { marginBottom: '16px' } }
+					>
+						{ hasSvg
+							? __( 'Replace SVG', 'advanced-accordion' )
+							: __( 'Upload SVG', 'advanced-accordion' ) }
+					</Button>
+				) }
+			/>
+		</MediaUploadCheck>
+	);
+}
+
+export default function ToggleEdit( {
+	attributes,
+	setAttributes,
+	context,
+	clientId,
+} ) {
 	const {
 		heading,
 		headingTag,
@@ -45,37 +197,146 @@ export default function ToggleEdit( { attributes, setAttributes } ) {
 		customIcon,
 		customIconId,
 		iconRotation,
+		iconClosed,
+		iconOpen,
+		iconTransition,
+		customIconSvg,
+		customIconSvgId,
+		customIconOpenSvg,
+		customIconOpenSvgId,
+		iconSize,
+		iconSpacing,
+		showCopyLink,
+		copyLinkLabel,
+		inherited,
 	} = attributes;
 
+	// Preview with the container's current defaults, and keep a copy in
+	// `inherited` for save(). The copy isn't a user edit, so it doesn't
+	// create an undo level.
+	const contextDefaults = useMemo(
+		() => inheritedFromContext( context ),
+		[ context ]
+	);
+	const { __unstableMarkNextChangeAsNotPersistent } =
+		useDispatch( 'core/block-editor' );
+
+	useEffect( () => {
+		if (
+			JSON.stringify( contextDefaults ) !==
+			JSON.stringify( inherited ?? {} )
+		) {
+			__unstableMarkNextChangeAsNotPersistent();
+			setAttributes( { inherited: contextDefaults } );
+		}
+	}, [
+		contextDefaults,
+		inherited,
+		setAttributes,
+		__unstableMarkNextChangeAsNotPersistent,
+	] );
+
+	const resolved = resolveToggleSettings( attributes, contextDefaults );
+
+	// A <summary> can't contain another button.
+	const isNative = resolved.markup === 'details';
+	const hasCopyLink = showCopyLink && ! isNative;
+
+	// Editor preview: expand / collapse the parent item's panel.
+	const { itemClientId, isPreviewOpen, isFocusMode } = useSelect(
+		( select ) => {
+			const { getBlockRootClientId } = select( 'core/block-editor' );
+			const itemId = getBlockRootClientId( clientId );
+			return {
+				itemClientId: itemId,
+				isPreviewOpen: select( previewStore ).isItemOpen( itemId ),
+				isFocusMode: select( previewStore ).isFocusMode(
+					getBlockRootClientId( itemId )
+				),
+			};
+		},
+		[ clientId ]
+	);
+	const { setItemsOpen } = useDispatch( previewStore );
+	const onSvgError = useSvgErrorNotice();
+	const closedSvgPreview = useSvgPreview( customIconSvg, customIconSvgId );
+	const openSvgPreview = useSvgPreview(
+		customIconOpenSvg,
+		customIconOpenSvgId
+	);
+
+	// In focus mode the selection decides what is expanded.
+	const togglePreview = () => {
+		if ( ! isFocusMode ) {
+			setItemsOpen( [ itemClientId ], ! isPreviewOpen );
+		}
+	};
+
 	const blockProps = useBlockProps( {
-		className: `wp-block-accordion-toggle`,
+		className: hasCopyLink
+			? 'wp-block-accordion-toggle has-copy-link'
+			: 'wp-block-accordion-toggle',
+		'data-icon-position': resolved.iconPosition,
+		'data-icon-rotation': resolved.iconRotation ? 'true' : 'false',
+		style: iconStyleVars( iconSize, iconSpacing ),
 	} );
 
-	const HeadingTag = headingTag || 'h3';
+	const HeadingTag = resolved.headingTag;
 
 	const iconMarkup = (
-		<span className="aa-toggle-icon" aria-hidden="true">
-			{ customIcon ? (
-				<img src={ customIcon } alt="" className="aa-toggle-icon-custom" />
-			) : (
-				<svg
-					width="20"
-					height="20"
-					viewBox="0 0 24 24"
-					fill="none"
-					stroke="currentColor"
-					strokeWidth="2"
-					strokeLinecap="round"
-					strokeLinejoin="round"
-				>
-					<polyline points="6 9 12 15 18 9" />
-				</svg>
-			) }
+		<span
+			className="aa-preview-toggle"
+			role="button"
+			tabIndex={ 0 }
+			aria-expanded={ isPreviewOpen }
+			aria-label={
+				isPreviewOpen
+					? __( 'Collapse in editor', 'advanced-accordion' )
+					: __( 'Expand in editor', 'advanced-accordion' )
+			}
+			onKeyDown={ ( event ) => {
+				if ( event.key === 'Enter' || event.key === ' ' ) {
+					event.preventDefault();
+					togglePreview();
+				}
+			} }
+		>
+			<ToggleIcon
+				attributes={ {
+					...attributes,
+					customIconSvg: closedSvgPreview,
+					customIconOpenSvg: openSvgPreview,
+				} }
+				inlineSvg
+			/>
 		</span>
 	);
 
-	const showIcon = iconPosition !== 'none';
-	const isLeft = iconPosition === 'left';
+	// Which preset the chosen icons match, if any.
+	let iconSet = 'custom';
+	if ( ! iconClosed ) {
+		iconSet = '';
+	} else {
+		const match = Object.entries( ICON_SETS ).find(
+			( [ , { icons } ] ) =>
+				icons[ 0 ] === iconClosed && icons[ 1 ] === iconOpen
+		);
+		if ( match ) iconSet = match[ 0 ];
+	}
+
+	const onIconSetChange = ( val ) => {
+		if ( val === '' ) {
+			setAttributes( { iconClosed: '', iconOpen: '' } );
+		} else if ( ICON_SETS[ val ] ) {
+			const [ closed, open ] = ICON_SETS[ val ].icons;
+			setAttributes( { iconClosed: closed, iconOpen: open } );
+		} else if ( ! iconClosed ) {
+			setAttributes( { iconClosed: 'chevron-down' } );
+		}
+	};
+
+	const showIcon = resolved.iconPosition !== 'none';
+	const isLeft = resolved.iconPosition === 'left';
 
 	return (
 		<>
@@ -102,66 +363,252 @@ export default function ToggleEdit( { attributes, setAttributes } ) {
 					/>
 					<ToggleControl
 						label={ __(
-							'Rotate icon on open',
+							'Show "copy link" button',
 							'advanced-accordion'
 						) }
-						checked={ iconRotation }
+						help={
+							isNative
+								? __(
+										'Not available with native <details> markup.',
+										'advanced-accordion'
+								  )
+								: __(
+										'Lets visitors copy a URL that opens this item directly.',
+										'advanced-accordion'
+								  )
+						}
+						disabled={ isNative }
+						checked={ hasCopyLink }
 						onChange={ ( val ) =>
-							setAttributes( { iconRotation: val } )
+							setAttributes( { showCopyLink: val } )
 						}
 					/>
-					<MediaUploadCheck>
-						<MediaUpload
-							onSelect={ ( media ) =>
-								setAttributes( {
-									customIcon: media.url,
-									customIconId: media.id,
-								} )
+					{ hasCopyLink && (
+						<TextControl
+							label={ __(
+								'Copy link label',
+								'advanced-accordion'
+							) }
+							help={ __(
+								'Accessible name of the button.',
+								'advanced-accordion'
+							) }
+							value={ copyLinkLabel }
+							onChange={ ( val ) =>
+								setAttributes( { copyLinkLabel: val } )
 							}
-							allowedTypes={ [ 'image' ] }
-							value={ customIconId }
-							render={ ( { open } ) => (
-								<div style={ { marginTop: '8px' } }>
-									<Button
-										onClick={ open }
-										variant="secondary"
-										isSmall
-									>
-										{ customIcon
+						/>
+					) }
+				</PanelBody>
+
+				<PanelBody
+					title={ __( 'Icon', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __( 'Icon Set', 'advanced-accordion' ) }
+						value={ iconSet }
+						options={ ICON_SET_OPTIONS }
+						onChange={ onIconSetChange }
+					/>
+					{ iconClosed && (
+						<>
+							<SelectControl
+								label={ __(
+									'Closed Icon',
+									'advanced-accordion'
+								) }
+								value={ iconClosed }
+								options={ [
+									...ICON_OPTIONS,
+									{ label: 'Uploaded SVG', value: 'custom' },
+								] }
+								onChange={ ( val ) =>
+									setAttributes( { iconClosed: val } )
+								}
+							/>
+							{ iconClosed === 'custom' && (
+								<SvgUpload
+									hasSvg={ !! closedSvgPreview }
+									onChange={ ( svg, id ) =>
+										setAttributes( {
+											customIconSvg: svg,
+											customIconSvgId: id,
+										} )
+									}
+								/>
+							) }
+							<SelectControl
+								label={ __( 'Open Icon', 'advanced-accordion' ) }
+								value={ iconOpen }
+								options={ [
+									{ label: 'Same as closed', value: '' },
+									...ICON_OPTIONS,
+									{ label: 'Uploaded SVG', value: 'custom' },
+								] }
+								onChange={ ( val ) =>
+									setAttributes( { iconOpen: val } )
+								}
+							/>
+							{ iconOpen === 'custom' && (
+								<SvgUpload
+									hasSvg={ !! openSvgPreview }
+									onChange={ ( svg, id ) =>
+										setAttributes( {
+											customIconOpenSvg: svg,
+											customIconOpenSvgId: id,
+										} )
+									}
+								/>
+							) }
+							{ iconOpen && (
+								<SelectControl
+									label={ __(
+										'Transition',
+										'advanced-accordion'
+									) }
+									help={
+										iconTransition === 'morph' &&
+										! canMorph( iconClosed, iconOpen )
 											? __(
-													'Replace Custom Icon',
+													'Morph works for the built-in pairs (plus → minus, down → up). These icons cross-fade instead.',
 													'advanced-accordion'
 											  )
-											: __(
-													'Upload Custom Icon',
-													'advanced-accordion'
-											  ) }
-									</Button>
-									{ customIcon && (
-										<Button
-											onClick={ () =>
+											: undefined
+									}
+									value={ iconTransition }
+									options={ TRANSITION_OPTIONS }
+									onChange={ ( val ) =>
+										setAttributes( { iconTransition: val } )
+									}
+								/>
+							) }
+						</>
+					) }
+					{ ! iconOpen && (
+						<SelectControl
+							label={ __(
+								'Rotate icon on open',
+								'advanced-accordion'
+							) }
+							value={
+								iconRotation === undefined
+									? ''
+									: String( iconRotation )
+							}
+							options={ ICON_ROTATION_OPTIONS }
+							onChange={ ( val ) =>
+								setAttributes( {
+									iconRotation:
+										val === '' ? undefined : val === 'true',
+								} )
+							}
+						/>
+					) }
+					{ ! iconClosed && (
+						<MediaUploadCheck>
+							<MediaUpload
+								onSelect={ ( media ) => {
+									// SVGs are inlined so they follow the text colour.
+									if ( media.mime === 'image/svg+xml' ) {
+										loadSvg( media.url )
+											.then( ( svg ) =>
 												setAttributes( {
-													customIcon: '',
-													customIconId: 0,
+													iconClosed: 'custom',
+													customIconSvg: svg,
+													customIconSvgId: media.id,
 												} )
-											}
-											variant="tertiary"
-											isDestructive
+											)
+											.catch( onSvgError );
+										return;
+									}
+									setAttributes( {
+										customIcon: media.url,
+										customIconId: media.id,
+									} );
+								} }
+								allowedTypes={ [ 'image' ] }
+								value={ customIconId }
+								render={ ( { open } ) => (
+									<div style={ { marginTop: '8px' } }>
+										<Button
+											onClick={ open }
+											variant="secondary"
 											isSmall
-											style={ { marginLeft: '8px' } }
 										>
-											{ __( 'Remove', 'advanced-accordion' ) }
+											{ customIcon
+												? __(
+														'Replace Custom Icon',
+														'advanced-accordion'
+												  )
+												: __(
+														'Upload Custom Icon',
+														'advanced-accordion'
+												  ) }
 										</Button>
-									) }
-								</div>
-							) }
-						/>
-					</MediaUploadCheck>
+										{ customIcon && (
+											<Button
+												onClick={ () =>
+													setAttributes( {
+														customIcon: '',
+														customIconId: 0,
+													} )
+												}
+												variant="tertiary"
+												isDestructive
+												isSmall
+												style={ { marginLeft: '8px' } }
+											>
+												{ __( 'Remove', 'advanced-accordion' ) }
+											</Button>
+										) }
+									</div>
+								) }
+							/>
+						</MediaUploadCheck>
+					) }
+					<RangeControl
+						label={ __( 'Icon Size (px)', 'advanced-accordion' ) }
+						help={ __(
+							'Leave unset to use the accordion default.',
+							'advanced-accordion'
+						) }
+						value={ iconSize }
+						onChange={ ( val ) =>
+							setAttributes( { iconSize: val } )
+						}
+						min={ 8 }
+						max={ 64 }
+						step={ 1 }
+						allowReset
+					/>
+					<RangeControl
+						label={ __(
+							'Icon Spacing (px)',
+							'advanced-accordion'
+						) }
+						value={ iconSpacing }
+						onChange={ ( val ) =>
+							setAttributes( { iconSpacing: val } )
+						}
+						min={ 0 }
+						max={ 48 }
+						step={ 1 }
+						allowReset
+					/>
 				</PanelBody>
 			</InspectorControls>
 
 			<div { ...blockProps }>
-				<HeadingTag className="aa-toggle-heading">
+				<HeadingTag
+					className="aa-toggle-heading"
+					onClick={ ( event ) => {
+						// Clicks in the text edit the heading instead.
+						if ( ! event.target.closest( '.aa-toggle-text' ) ) {
+							togglePreview();
+						}
+					} }
+				>
 					{ showIcon && isLeft && iconMarkup }
 					<RichText
 						tagName="span"
@@ -182,6 +629,11 @@ export default function ToggleEdit( { attributes, setAttributes } ) {
 					/>
 					{ showIcon && ! isLeft && iconMarkup }
 				</HeadingTag>
+				{ hasCopyLink && (
+					<span className="aa-copy-link" title={ copyLinkLabel }>
+						<CopyLinkIcon />
+					</span>
+				) }
 			</div>
 		</>
 	);
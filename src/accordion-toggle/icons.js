@@ -0,0 +1,305 @@
+/**
+ * Accordion Toggle – Icon Library
+ *
+ * Built-in icons, the sets that pair a closed with an open icon, and the
+ * <ToggleIcon> and <CopyLinkIcon> markup shared by the edit and save
+ * components. Built-in icons are stroked / filled with currentColor so
+ * they follow the text colour; uploaded SVGs are inlined for the same
+ * reason – by the server on the frontend (see includes/svg-icons.php),
+ * so post content carries an empty placeholder for them.
+ */
+
+/**
+ * Outer <svg> of a built-in icon (24 × 24 grid, 2px stroke).
+ */
+function Glyph( { children, filled = false } ) {
+	return (
+		<svg
+			width="20"
+			height="20"
+			viewBox="0 0 24 24"
+			fill={ filled ? 'currentColor' : 'none' }
+			stroke="currentColor"
+			strokeWidth="2"
+			strokeLinecap="round"
+			strokeLinejoin="round"
+			focusable="false"
+		>
+			{ children }
+		</svg>
+	);
+}
+
+export const ICONS = {
+	'chevron-down': {
+		label: 'Chevron down',
+		render: () => (
+			<Glyph>
+				<polyline points="6 9 12 15 18 9" />
+			</Glyph>
+		),
+	},
+	'chevron-up': {
+		label: 'Chevron up',
+		render: () => (
+			<Glyph>
+				<polyline points="6 15 12 9 18 15" />
+			</Glyph>
+		),
+	},
+	plus: {
+		label: 'Plus',
+		render: () => (
+			<Glyph>
+				<line x1="5" y1="12" x2="19" y2="12" />
+				<line x1="12" y1="5" x2="12" y2="19" />
+			</Glyph>
+		),
+	},
+	minus: {
+		label: 'Minus',
+		render: () => (
+			<Glyph>
+				<line x1="5" y1="12" x2="19" y2="12" />
+			</Glyph>
+		),
+	},
+	'arrow-down': {
+		label: 'Arrow down',
+		render: () => (
+			<Glyph>
+				<line x1="12" y1="5" x2="12" y2="19" />
+				<polyline points="5 12 12 19 19 12" />
+			</Glyph>
+		),
+	},
+	'arrow-up': {
+		label: 'Arrow up',
+		render: () => (
+			<Glyph>
+				<line x1="12" y1="19" x2="12" y2="5" />
+				<polyline points="5 12 12 5 19 12" />
+			</Glyph>
+		),
+	},
+	'caret-down': {
+		label: 'Caret down',
+		render: () => (
+			<Glyph filled>
+				<path d="M7 10h10l-5 6z" />
+			</Glyph>
+		),
+	},
+	'caret-up': {
+		label: 'Caret up',
+		render: () => (
+			<Glyph filled>
+				<path d="M7 14h10l-5-6z" />
+			</Glyph>
+		),
+	},
+	'circle-plus': {
+		label: 'Circle plus',
+		render: () => (
+			<Glyph>
+				<circle cx="12" cy="12" r="10" />
+				<line x1="8" y1="12" x2="16" y2="12" />
+				<line x1="12" y1="8" x2="12" y2="16" />
+			</Glyph>
+		),
+	},
+	'circle-minus': {
+		label: 'Circle minus',
+		render: () => (
+			<Glyph>
+				<circle cx="12" cy="12" r="10" />
+				<line x1="8" y1="12" x2="16" y2="12" />
+			</Glyph>
+		),
+	},
+};
+
+/**
+ * Presets offered by the "Icon set" picker: [ closed, open ].
+ */
+export const ICON_SETS = {
+	chevron: { label: 'Chevron', icons: [ 'chevron-down', 'chevron-up' ] },
+	'plus-minus': { label: 'Plus / minus', icons: [ 'plus', 'minus' ] },
+	arrow: { label: 'Arrow', icons: [ 'arrow-down', 'arrow-up' ] },
+	caret: { label: 'Caret', icons: [ 'caret-down', 'caret-up' ] },
+	'circle-plus': {
+		label: 'Circle plus / minus',
+		icons: [ 'circle-plus', 'circle-minus' ],
+	},
+};
+
+/**
+ * Closed → open pairs that can morph instead of cross-fading. "bar"
+ * pairs collapse the vertical bar of the plus (the last <line>), "flip"
+ * pairs rotate the closed icon half a turn.
+ */
+const MORPHS = {
+	'plus:minus': 'bar',
+	'circle-plus:circle-minus': 'bar',
+	'chevron-down:chevron-up': 'flip',
+	'arrow-down:arrow-up': 'flip',
+	'caret-down:caret-up': 'flip',
+};
+
+/**
+ * Whether the closed / open pair can morph.
+ */
+export function canMorph( closed, open ) {
+	return !! MORPHS[ `${ closed }:${ open }` ];
+}
+
+/**
+ * CSS custom properties for an icon size / spacing override (px); unset
+ * values inherit from the container or the stylesheet.
+ *
+ * @param {number|undefined} size
+ * @param {number|undefined} spacing
+ * @return {Object} Style object.
+ */
+export function iconStyleVars( size, spacing ) {
+	return {
+		'--aa-icon-size': size !== undefined ? `${ size }px` : undefined,
+		'--aa-icon-gap': spacing !== undefined ? `${ spacing }px` : undefined,
+	};
+}
+
+/**
+ * A single icon: built-in by key, or the uploaded SVG – inlined, or as
+ * the placeholder the server fills.
+ *
+ * @param {string}  key       Icon key, or 'custom' for the uploaded SVG.
+ * @param {string}  svg       Sanitized uploaded SVG markup.
+ * @param {number}  svgId     Attachment ID of the uploaded SVG.
+ * @param {boolean} inlineSvg Whether to inline the uploaded SVG.
+ * @return {?Element} Icon markup.
+ */
+function renderIcon( key, svg, svgId, inlineSvg ) {
+	if ( key === 'custom' ) {
+		if ( inlineSvg ) {
+			return svg ? (
+				<span
+					className="aa-icon-svg"
+					dangerouslySetInnerHTML={ { __html: svg } }
+				/>
+			) : null;
+		}
+		return svg || svgId ? <span className="aa-icon-svg" /> : null;
+	}
+	return ICONS[ key ]?.render() ?? null;
+}
+
+/**
+ * The toggle's icon.
+ *
+ * Without a chosen closed icon this is the original markup (chevron, or
+ * the uploaded <img>), unchanged so existing content stays valid.
+ *
+ * @param {Object}  props
+ * @param {Object}  props.attributes Toggle attributes.
+ * @param {boolean} props.inlineSvg  Inline uploaded SVGs (editor preview,
+ *                                   older content) instead of leaving
+ *                                   them to the server.
+ */
+export function ToggleIcon( { attributes, inlineSvg = false } ) {
+	const {
+		iconClosed,
+		iconOpen,
+		iconTransition,
+		customIcon,
+		customIconSvg,
+		customIconSvgId,
+		customIconOpenSvg,
+		customIconOpenSvgId,
+	} = attributes;
+
+	if ( ! iconClosed ) {
+		return customIcon ? (
+			<span className="aa-toggle-icon" aria-hidden="true">
+				<img src={ customIcon } alt="" className="aa-toggle-icon-custom" />
+			</span>
+		) : (
+			<span className="aa-toggle-icon" aria-hidden="true">
+				<svg
+					width="20"
+					height="20"
+					viewBox="0 0 24 24"
+					fill="none"
+					stroke="currentColor"
+					strokeWidth="2"
+					strokeLinecap="round"
+					strokeLinejoin="round"
+				>
+					<polyline points="6 9 12 15 18 9" />
+				</svg>
+			</span>
+		);
+	}
+
+	const closed = renderIcon(
+		iconClosed,
+		customIconSvg,
+		customIconSvgId,
+		inlineSvg
+	);
+
+	if ( ! iconOpen ) {
+		return (
+			<span className="aa-toggle-icon" aria-hidden="true">
+				{ closed }
+			</span>
+		);
+	}
+
+	if ( iconTransition === 'morph' && canMorph( iconClosed, iconOpen ) ) {
+		return (
+			<span
+				className="aa-toggle-icon"
+				data-icon-morph={ MORPHS[ `${ iconClosed }:${ iconOpen }` ] }
+				aria-hidden="true"
+			>
+				{ closed }
+			</span>
+		);
+	}
+
+	return (
+		<span className="aa-toggle-icon has-open-icon" aria-hidden="true">
+			<span className="aa-icon-closed">{ closed }</span>
+			<span className="aa-icon-open">
+				{ renderIcon(
+					iconOpen,
+					customIconOpenSvg,
+					customIconOpenSvgId,
+					inlineSvg
+				) }
+			</span>
+		</span>
+	);
+}
+
+/**
+ * The copy-link button's icon.
+ */
+export function CopyLinkIcon() {
+	return (
+		<svg
+			width="16"
+			height="16"
+			viewBox="0 0 24 24"
+			fill="none"
+			stroke="currentColor"
+			strokeWidth="2"
+			strokeLinecap="round"
+			strokeLinejoin="round"
+			aria-hidden="true"
+		>
+			<path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71" />
+			<path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71" />
+		</svg>
+	);
+}
@@ -0,0 +1,58 @@
+/**
+ * Accordion Toggle – Inherited Settings
+ *
+ * Icon position, icon rotation and heading level left empty on a toggle
+ * inherit the container's "Toggle Defaults" through block context. Save
+ * functions can't read context, so the editor mirrors the inherited values
+ * into the toggle's `inherited` attribute and save() resolves from that.
+ * The container's markup travels the same way, so a toggle in a native
+ * <details> item saves as its <summary>.
+ */
+
+/**
+ * Block context keys provided by the container (see src/block.json).
+ */
+export const CONTEXT_KEYS = {
+	iconPosition: 'asuspended/iconPosition',
+	iconRotation: 'asuspended/iconRotation',
+	headingTag: 'asuspended/headingTag',
+};
+
+/**
+ * Container defaults available in a toggle's block context.
+ *
+ * @param {Object} context Block context.
+ * @return {Object} Only the keys the context provides.
+ */
+export function inheritedFromContext( context ) {
+	const inherited = {};
+	Object.entries( CONTEXT_KEYS ).forEach( ( [ name, key ] ) => {
+		if ( context[ key ] !== undefined ) {
+			inherited[ name ] = context[ key ];
+		}
+	} );
+	// Only the non-default markup is kept, so toggles of regular
+	// accordions don't all gain a `markup: "div"`.
+	if ( context[ 'asuspended/markup' ] === 'details' ) {
+		inherited.markup = 'details';
+	}
+	return inherited;
+}
+
+/**
+ * The toggle's effective settings: its own values, else the inherited
+ * ones. Toggles saved before inheritance existed carry no inherited
+ * values and resolve to exactly what they used to save.
+ *
+ * @param {Object} attributes Toggle attributes.
+ * @param {Object} inherited  Container defaults.
+ * @return {{iconPosition: string, iconRotation: boolean, headingTag: string, markup: string}}
+ */
+export function resolveToggleSettings( attributes, inherited = {} ) {
+	return {
+		iconPosition: attributes.iconPosition || inherited.iconPosition || '',
+		iconRotation: attributes.iconRotation ?? inherited.iconRotation ?? true,
+		headingTag: attributes.headingTag || inherited.headingTag || 'h3',
+		markup: inherited.markup || 'div',
+	};
+}
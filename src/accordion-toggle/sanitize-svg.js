@@ -0,0 +1,121 @@
+/**
+ * Accordion Toggle – SVG Sanitizer
+ *
+ * Uploaded SVG icons are inlined into post content, so only plain shapes
+ * survive: no scripts, event handlers, external references, styles or
+ * foreign content. Colours are replaced with currentColor so the icon
+ * follows the toggle's text colour.
+ */
+
+const ALLOWED_ELEMENTS = [
+	'svg',
+	'g',
+	'path',
+	'circle',
+	'ellipse',
+	'line',
+	'polyline',
+	'polygon',
+	'rect',
+];
+
+const ALLOWED_ATTRIBUTES = [
+	'viewBox',
+	'xmlns',
+	'd',
+	'points',
+	'cx',
+	'cy',
+	'r',
+	'rx',
+	'ry',
+	'x',
+	'y',
+	'x1',
+	'y1',
+	'x2',
+	'y2',
+	'width',
+	'height',
+	'transform',
+	'opacity',
+	'fill',
+	'fill-rule',
+	'fill-opacity',
+	'clip-rule',
+	'stroke',
+	'stroke-width',
+	'stroke-linecap',
+	'stroke-linejoin',
+	'stroke-miterlimit',
+	'stroke-dasharray',
+	'stroke-dashoffset',
+	'stroke-opacity',
+];
+
+/**
+ * Sanitize SVG markup. Returns an empty string if it isn't a valid SVG.
+ *
+ * @param {string} markup Raw SVG file contents.
+ * @return {string} Safe, inlinable SVG markup.
+ */
+export default function sanitizeSvg( markup ) {
+	const doc = new window.DOMParser().parseFromString(
+		markup,
+		'image/svg+xml'
+	);
+	const svg = doc.documentElement;
+	if (
+		svg.nodeName.toLowerCase() !== 'svg' ||
+		doc.getElementsByTagName( 'parsererror' ).length
+	) {
+		return '';
+	}
+
+	const clean = ( el ) => {
+		Array.from( el.children ).forEach( ( child ) => {
+			if ( ALLOWED_ELEMENTS.includes( child.nodeName ) ) {
+				clean( child );
+			} else {
+				child.remove();
+			}
+		} );
+
+		Array.from( el.attributes ).forEach( ( { name, value } ) => {
+			if (
+				! ALLOWED_ATTRIBUTES.includes( name ) ||
+				/url\s*\(|javascript:/i.test( value )
+			) {
+				el.removeAttribute( name );
+			} else if (
+				( name === 'fill' || name === 'stroke' ) &&
+				value !== 'none'
+			) {
+				el.setAttribute( name, 'currentColor' );
+			}
+		} );
+
+		// Drop comments, CDATA and processing instructions.
+		Array.from( el.childNodes ).forEach( ( node ) => {
+			if ( node.nodeType !== 1 && node.nodeType !== 3 ) node.remove();
+		} );
+	};
+	clean( svg );
+
+	// Size comes from the stylesheet; keep the intrinsic size as a viewBox.
+	const width = parseFloat( svg.getAttribute( 'width' ) );
+	const height = parseFloat( svg.getAttribute( 'height' ) );
+	if ( ! svg.hasAttribute( 'viewBox' ) && width && height ) {
+		svg.setAttribute( 'viewBox', `0 0 ${ width } ${ height }` );
+	}
+	svg.removeAttribute( 'width' );
+	svg.removeAttribute( 'height' );
+	svg.setAttribute( 'focusable', 'false' );
+
+	// Shapes without a fill default to black.
+	if ( ! svg.hasAttribute( 'fill' ) ) {
+		svg.setAttribute( 'fill', 'currentColor' );
+	}
+
+	return new window.XMLSerializer().serializeToString( svg );
+}
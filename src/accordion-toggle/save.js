@@ -2,47 +2,87 @@
  * Accordion Toggle – Save Component
  *
  * Outputs a semantic <button> wrapped in the chosen heading tag.
- * ARIA attributes are added by the frontend script after hydration, but we
- * set aria-expanded="false" as a safe default in the static markup.
+ * ARIA attributes are added when the item renders on the server (or by the
+ * frontend script), but we set aria-expanded="false" as a safe default in
+ * the static markup.
+ * Settings left to inherit resolve from the container defaults the editor
+ * mirrored into `inherited`. In a native <details> item the toggle is the
+ * item's <summary> instead, without a copy-link button. Uploaded SVG icons
+ * are left as placeholders the server fills in.
  */
 
 import { useBlockProps, RichText } from '@wordpress/block-editor';
+import { ToggleIcon, CopyLinkIcon, iconStyleVars } from './icons';
+import { resolveToggleSettings } from './inheritance';
 
-export default function toggleSave( { attributes } ) {
-	const { heading, headingTag, iconPosition, customIcon, iconRotation } =
-		attributes;
+/**
+ * The toggle's markup.
+ *
+ * @param {Object}  attributes          Toggle attributes.
+ * @param {Object}  [options]
+ * @param {boolean} [options.inlineSvg] Inline uploaded SVGs, as content
+ *                                      saved before the server filled
+ *                                      them in did.
+ * @return {Element} Saved markup.
+ */
+export function saveToggle( attributes, { inlineSvg = false } = {} ) {
+	const {
+		heading,
+		iconSize,
+		iconSpacing,
+		showCopyLink,
+		copyLinkLabel,
+		inherited,
+	} = attributes;
 
-	const HeadingTag = headingTag || 'h3';
+	const {
+		iconPosition,
+		iconRotation,
+		headingTag: HeadingTag,
+		markup,
+	} = resolveToggleSettings( attributes, inherited );
 	const showIcon = iconPosition !== 'none';
 	const isLeft = iconPosition === 'left';
+	const isNative = markup === 'details';
+
+	let className = 'wp-block-accordion-toggle';
+	if ( isNative ) {
+		// The <summary> is the button.
+		className += ' aa-toggle-button';
+	} else if ( showCopyLink ) {
+		className += ' has-copy-link';
+	}
 
 	const blockProps = useBlockProps.save( {
-		className: 'wp-block-accordion-toggle',
-		'data-icon-position': iconPosition || '',
+		className,
+		'data-icon-position': iconPosition,
 		'data-icon-rotation': iconRotation ? 'true' : 'false',
+		// Override the container's icon size / spacing only when set.
+		...( ( iconSize !== undefined || iconSpacing !== undefined ) && {
+			style: iconStyleVars( iconSize, iconSpacing ),
+		} ),
 	} );
 
-	const iconHtml = customIcon ? (
-		<span className="aa-toggle-icon" aria-hidden="true">
-			<img src={ customIcon } alt="" className="aa-toggle-icon-custom" />
-		</span>
-	) : (
-		<span className="aa-toggle-icon" aria-hidden="true">
-			<svg
-				width="20"
-				height="20"
-				viewBox="0 0 24 24"
-				fill="none"
-				stroke="currentColor"
-				strokeWidth="2"
-				strokeLinecap="round"
-				strokeLinejoin="round"
-			>
-				<polyline points="6 9 12 15 18 9" />
-			</svg>
-		</span>
+	const iconHtml = (
+		<ToggleIcon attributes={ attributes } inlineSvg={ inlineSvg } />
 	);
 
+	if ( isNative ) {
+		return (
+			<summary { ...blockProps }>
+				{ showIcon && isLeft && iconHtml }
+				<HeadingTag className="aa-toggle-heading">
+					<RichText.Content
+						tagName="span"
+						className="aa-toggle-text"
+						value={ heading }
+					/>
+				</HeadingTag>
+				{ showIcon && ! isLeft && iconHtml }
+			</summary>
+		);
+	}
+
 	return (
 		<div { ...blockProps }>
 			<HeadingTag className="aa-toggle-heading">
@@ -60,6 +100,20 @@ export default function toggleSave( { attributes } ) {
 					{ showIcon && ! isLeft && iconHtml }
 				</button>
 			</HeadingTag>
+			{ showCopyLink && (
+				<button
+					className="aa-copy-link"
+					type="button"
+					aria-label={ copyLinkLabel }
+					title={ copyLinkLabel }
+				>
+					<CopyLinkIcon />
+				</button>
+			) }
 		</div>
 	);
 }
+
+export default function toggleSave( { attributes } ) {
+	return saveToggle( attributes );
+}
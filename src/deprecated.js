@@ -0,0 +1,44 @@
+/**
+ * Advanced Accordion – Deprecated Versions
+ *
+ * Handles blocks saved with previous save formats to prevent validation errors.
+ */
+
+import metadata from './block.json';
+import containerSave from './save';
+
+// English search messages, saved into the markup by default.
+const SEARCH_TEXTS = {
+	searchNoResultsText: 'No matching items found.',
+	searchResultsText: '%d matching items',
+};
+
+const deprecated = [
+	{
+		attributes: {
+			...metadata.attributes,
+			searchNoResultsText: {
+				type: 'string',
+				default: SEARCH_TEXTS.searchNoResultsText,
+			},
+			searchResultsText: {
+				type: 'string',
+				default: SEARCH_TEXTS.searchResultsText,
+			},
+		},
+		supports: metadata.supports,
+		save: containerSave,
+		// The old defaults give way to the translated ones.
+		migrate( attributes ) {
+			const migrated = { ...attributes };
+			Object.entries( SEARCH_TEXTS ).forEach( ( [ name, text ] ) => {
+				if ( migrated[ name ] === text ) {
+					migrated[ name ] = '';
+				}
+			} );
+			return migrated;
+		},
+	},
+];
+
+export default deprecated;
@@ -5,7 +5,7 @@
  * settings in the InspectorControls panel.
  */
 
-import { __ } from '@wordpress/i18n';
+import { __, _n, sprintf } from '@wordpress/i18n';
 import {
 	useBlockProps,
 	useInnerBlocksProps,
@@ -24,6 +24,9 @@ import {
 import { useSelect, useDispatch } from '@wordpress/data';
 import { useCallback } from '@wordpress/element';
 import { createBlock } from '@wordpress/blocks';
+import { iconStyleVars } from './accordion-toggle/icons';
+import { store as previewStore } from './preview-store';
+import { useItemIds } from './accordion-item/item-id';
 
 /**
  * Template inserted when the accordion starts empty.
@@ -54,6 +57,49 @@ const EASING_OPTIONS = [
 	{ label: 'Custom cubic-bezier', value: 'custom' },
 ];
 
+const DISPLAY_MODE_OPTIONS = [
+	{ label: 'Accordion', value: 'accordion' },
+	{ label: 'Tabs on wide screens', value: 'tabs' },
+];
+
+const MARKUP_OPTIONS = [
+	{ label: 'Buttons (default)', value: 'div' },
+	{ label: 'Native <details> / <summary>', value: 'details' },
+];
+
+const LAYOUT_OPTIONS = [
+	{ label: 'Vertical (stacked)', value: 'vertical' },
+	{ label: 'Horizontal (expanding panels)', value: 'horizontal' },
+];
+
+const SEARCH_MODE_OPTIONS = [
+	{ label: 'Toggle text only', value: 'toggle' },
+	{ label: 'Toggle text and content', value: 'content' },
+];
+
+const EXPAND_ALL_OPTIONS = [
+	{ label: 'None', value: '' },
+	{ label: 'Expand all and Collapse all buttons', value: 'buttons' },
+	{ label: 'One button that switches', value: 'single' },
+];
+
+const EXPAND_ALL_POSITION_OPTIONS = [
+	{ label: 'Above the items', value: 'top' },
+	{ label: 'Below the items', value: 'bottom' },
+];
+
+const REMEMBER_STATE_OPTIONS = [
+	{ label: 'Off', value: '' },
+	{ label: 'During the browser session', value: 'session' },
+	{ label: 'Across visits', value: 'local' },
+];
+
+const PRINT_MODE_OPTIONS = [
+	{ label: 'All items expanded', value: 'expanded' },
+	{ label: 'As shown (collapsed items stay collapsed)', value: 'collapsed' },
+	{ label: 'Headings only', value: 'headings' },
+];
+
 export default function ContainerEdit( { attributes, setAttributes, clientId } ) {
 	const {
 		autoClose,
@@ -67,17 +113,66 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 		staggerDelay,
 		iconPosition,
 		iconRotation,
+		headingTag,
+		iconSize,
+		iconSpacing,
+		updateHash,
+		scrollIntoView,
+		scrollOffset,
+		scrollOffsetSelector,
+		stickyToggles,
+		printMode,
+		rememberState,
+		rememberStateExpiry,
+		rememberStateResetOnChange,
+		enableSearch,
+		searchPlaceholder,
+		searchMode,
+		searchMinLength,
+		searchNoResultsText,
+		searchResultsText,
+		outputFaqSchema,
+		layout,
+		horizontalBreakpoint,
+		horizontalHeight,
+		displayMode,
+		tabsBreakpoint,
+		collapseDescendants,
+		analytics,
+		expandAllControls,
+		expandAllPosition,
+		expandAllLabel,
+		collapseAllLabel,
+		markup,
 	} = attributes;
 
+	const isNative = markup === 'details';
+
+	// How many accordions this one is nested in (0 = top level).
+	const depth = useSelect(
+		( select ) =>
+			select( 'core/block-editor' ).getBlockParentsByBlockName(
+				clientId,
+				'asuspended/advanced-accordion'
+			).length,
+		[ clientId ]
+	);
+
 	const blockProps = useBlockProps( {
-		className: 'wp-block-advanced-accordion',
+		className: depth
+			? 'wp-block-advanced-accordion is-nested'
+			: 'wp-block-advanced-accordion',
+		'data-aa-depth': depth || undefined,
 		'data-auto-close': autoClose ? 'true' : 'false',
 		'data-allow-multiple': allowMultipleOpen ? 'true' : 'false',
 	} );
 
+	// Page-unique IDs for the items (aria-controls, deep links).
+	useItemIds( clientId );
+
 	const { insertBlock } = useDispatch( 'core/block-editor' );
 
-	const innerBlocksProps = useInnerBlocksProps( blockProps, {
+	const { children, ...innerBlocksProps } = useInnerBlocksProps( blockProps, {
 		allowedBlocks: ALLOWED_BLOCKS,
 		template: TEMPLATE,
 		renderAppender: () => (
@@ -109,19 +204,36 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 		[ clientId ]
 	);
 
-	const { updateBlockAttributes } = useDispatch( 'core/block-editor' );
+	const focusMode = useSelect(
+		( select ) => select( previewStore ).isFocusMode( clientId ),
+		[ clientId ]
+	);
+
+	const { setItemsOpen, setFocusMode } = useDispatch( previewStore );
 
 	const expandAll = useCallback( () => {
-		childItemIds.forEach( ( id ) =>
-			updateBlockAttributes( id, { openByDefault: true } )
-		);
-	}, [ childItemIds, updateBlockAttributes ] );
+		setItemsOpen( childItemIds, true );
+		setFocusMode( clientId, false );
+	}, [ childItemIds, clientId, setItemsOpen, setFocusMode ] );
 
 	const collapseAll = useCallback( () => {
-		childItemIds.forEach( ( id ) =>
-			updateBlockAttributes( id, { openByDefault: false } )
-		);
-	}, [ childItemIds, updateBlockAttributes ] );
+		setItemsOpen( childItemIds, false );
+		setFocusMode( clientId, false );
+	}, [ childItemIds, clientId, setItemsOpen, setFocusMode ] );
+
+	/* ── Expand / collapse all buttons (inert in the editor) ───── */
+	const toggleAllPreview = expandAllControls && ! autoClose && (
+		<div className="aa-toggle-all">
+			<button type="button" className="aa-toggle-all-button" disabled>
+				{ expandAllLabel }
+			</button>
+			{ expandAllControls === 'buttons' && (
+				<button type="button" className="aa-toggle-all-button" disabled>
+					{ collapseAllLabel }
+				</button>
+			) }
+		</div>
+	);
 
 	/* ── Inline CSS custom properties for live preview ─────────── */
 	const easingValue =
@@ -135,6 +247,7 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 		'--aa-fade-duration': `${ contentFadeDuration }s`,
 		'--aa-slide-distance': `${ contentSlideDistance }px`,
 		'--aa-stagger': `${ staggerDelay }ms`,
+		...iconStyleVars( iconSize, iconSpacing ),
 	};
 
 	return (
@@ -151,6 +264,15 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 						label={ __( 'Collapse All', 'advanced-accordion' ) }
 						onClick={ collapseAll }
 					/>
+					<ToolbarButton
+						icon="visibility"
+						label={ __(
+							'Focus mode: show only the selected item',
+							'advanced-accordion'
+						) }
+						isPressed={ focusMode }
+						onClick={ () => setFocusMode( clientId, ! focusMode ) }
+					/>
 				</ToolbarGroup>
 			</BlockControls>
 
@@ -183,6 +305,433 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 							}
 						/>
 					) }
+					<ToggleControl
+						label={ __( 'Update URL hash', 'advanced-accordion' ) }
+						help={ __(
+							"Writes the opened item's anchor to the address bar so it can be shared.",
+							'advanced-accordion'
+						) }
+						checked={ updateHash }
+						onChange={ ( val ) =>
+							setAttributes( { updateHash: val } )
+						}
+					/>
+					<ToggleControl
+						label={ __(
+							'Scroll opened items into view',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'When a visitor opens an item that is partly out of view, scroll it to the top of the screen.',
+							'advanced-accordion'
+						) }
+						checked={ scrollIntoView }
+						onChange={ ( val ) =>
+							setAttributes( { scrollIntoView: val } )
+						}
+					/>
+					<RangeControl
+						label={ __( 'Scroll offset (px)', 'advanced-accordion' ) }
+						help={ __(
+							'Space to leave above items scrolled into view, also for deep links.',
+							'advanced-accordion'
+						) }
+						value={ scrollOffset }
+						onChange={ ( val ) =>
+							setAttributes( { scrollOffset: val } )
+						}
+						min={ 0 }
+						max={ 300 }
+						step={ 1 }
+					/>
+					<TextControl
+						label={ __(
+							'Sticky header selector',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'CSS selector of a fixed or sticky site header (e.g. .site-header). Its height is added to the offset while it is on screen.',
+							'advanced-accordion'
+						) }
+						value={ scrollOffsetSelector }
+						onChange={ ( val ) =>
+							setAttributes( { scrollOffsetSelector: val } )
+						}
+					/>
+					<ToggleControl
+						label={ __( 'Sticky toggles', 'advanced-accordion' ) }
+						help={ __(
+							'Keep an open item\'s toggle at the top of the screen (below the offset) while its content is scrolled. Items can override this.',
+							'advanced-accordion'
+						) }
+						checked={ stickyToggles }
+						onChange={ ( val ) =>
+							setAttributes( { stickyToggles: val } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'When printed', 'advanced-accordion' ) }
+						value={ printMode }
+						options={ PRINT_MODE_OPTIONS }
+						onChange={ ( val ) =>
+							setAttributes( { printMode: val } )
+						}
+					/>
+					<ToggleControl
+						label={ __(
+							'Collapse nested items on close',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Closing an item also closes any accordion items nested inside it.',
+							'advanced-accordion'
+						) }
+						checked={ collapseDescendants }
+						onChange={ ( val ) =>
+							setAttributes( { collapseDescendants: val } )
+						}
+					/>
+					<SelectControl
+						label={ __( 'Remember open items', 'advanced-accordion' ) }
+						help={ __(
+							'Restores which items were open when the visitor returns to the page.',
+							'advanced-accordion'
+						) }
+						value={ rememberState }
+						options={ REMEMBER_STATE_OPTIONS }
+						onChange={ ( val ) =>
+							setAttributes( { rememberState: val } )
+						}
+					/>
+					{ rememberState && (
+						<>
+							<RangeControl
+								label={ __(
+									'Forget after (hours)',
+									'advanced-accordion'
+								) }
+								help={ __(
+									'0 keeps the state until the storage is cleared.',
+									'advanced-accordion'
+								) }
+								value={ rememberStateExpiry }
+								onChange={ ( val ) =>
+									setAttributes( { rememberStateExpiry: val } )
+								}
+								min={ 0 }
+								max={ 720 }
+								step={ 1 }
+							/>
+							<ToggleControl
+								label={ __(
+									'Reset when items change',
+									'advanced-accordion'
+								) }
+								help={ __(
+									'Discards the remembered state once items are added, removed or re-ordered.',
+									'advanced-accordion'
+								) }
+								checked={ rememberStateResetOnChange }
+								onChange={ ( val ) =>
+									setAttributes( {
+										rememberStateResetOnChange: val,
+									} )
+								}
+							/>
+						</>
+					) }
+				</PanelBody>
+
+				{ /* ── Layout ─────────────────────────────────────── */ }
+				<PanelBody
+					title={ __( 'Layout', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __( 'Markup', 'advanced-accordion' ) }
+						help={
+							isNative
+								? __(
+										'Items are saved as <details> / <summary>: they open and close without JavaScript, also in feeds and emails. The frontend script adds the animations, linked groups and keyboard support. Tabs, the horizontal layout and copy-link buttons are not available.',
+										'advanced-accordion'
+								  )
+								: undefined
+						}
+						value={ markup }
+						options={ MARKUP_OPTIONS }
+						onChange={ ( val ) => setAttributes( { markup: val } ) }
+					/>
+					{ ! isNative && (
+						<>
+							<SelectControl
+								label={ __( 'Display mode', 'advanced-accordion' ) }
+								help={
+									displayMode === 'tabs'
+										? __(
+												'Items are shown as tabs above the breakpoint and as an accordion below it. The editor always shows the accordion.',
+												'advanced-accordion'
+										  )
+										: undefined
+								}
+								value={ displayMode }
+								options={ DISPLAY_MODE_OPTIONS }
+								onChange={ ( val ) =>
+									setAttributes( { displayMode: val } )
+								}
+							/>
+							{ displayMode === 'tabs' && (
+								<RangeControl
+									label={ __(
+										'Tabs breakpoint (px)',
+										'advanced-accordion'
+									) }
+									value={ tabsBreakpoint }
+									onChange={ ( val ) =>
+										setAttributes( { tabsBreakpoint: val } )
+									}
+									min={ 320 }
+									max={ 1440 }
+									step={ 16 }
+								/>
+							) }
+							{ displayMode !== 'tabs' && (
+								<SelectControl
+									label={ __( 'Layout', 'advanced-accordion' ) }
+									help={
+										layout === 'horizontal'
+											? __(
+													'Items sit side by side and the open item grows in width. The editor always shows items stacked.',
+													'advanced-accordion'
+											  )
+											: undefined
+									}
+									value={ layout }
+									options={ LAYOUT_OPTIONS }
+									onChange={ ( val ) => setAttributes( { layout: val } ) }
+								/>
+							) }
+							{ displayMode !== 'tabs' && layout === 'horizontal' && (
+								<>
+									<RangeControl
+										label={ __(
+											'Breakpoint (px)',
+											'advanced-accordion'
+										) }
+										help={ __(
+											'Narrower viewports fall back to the vertical layout.',
+											'advanced-accordion'
+										) }
+										value={ horizontalBreakpoint }
+										onChange={ ( val ) =>
+											setAttributes( { horizontalBreakpoint: val } )
+										}
+										min={ 320 }
+										max={ 1440 }
+										step={ 16 }
+									/>
+									<RangeControl
+										label={ __( 'Height (px)', 'advanced-accordion' ) }
+										value={ horizontalHeight }
+										onChange={ ( val ) =>
+											setAttributes( { horizontalHeight: val } )
+										}
+										min={ 200 }
+										max={ 900 }
+										step={ 10 }
+									/>
+								</>
+							) }
+						</>
+					) }
+				</PanelBody>
+
+				{ /* ── Search ─────────────────────────────────────── */ }
+				<PanelBody
+					title={ __( 'Search', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __( 'Show search field', 'advanced-accordion' ) }
+						help={ __(
+							'Filters items as visitors type, highlights matches and opens matching items.',
+							'advanced-accordion'
+						) }
+						checked={ enableSearch }
+						onChange={ ( val ) =>
+							setAttributes( { enableSearch: val } )
+						}
+					/>
+					{ enableSearch && (
+						<>
+							<TextControl
+								label={ __( 'Placeholder', 'advanced-accordion' ) }
+								value={ searchPlaceholder }
+								onChange={ ( val ) =>
+									setAttributes( { searchPlaceholder: val } )
+								}
+							/>
+							<SelectControl
+								label={ __( 'Match in', 'advanced-accordion' ) }
+								value={ searchMode }
+								options={ SEARCH_MODE_OPTIONS }
+								onChange={ ( val ) =>
+									setAttributes( { searchMode: val } )
+								}
+							/>
+							<RangeControl
+								label={ __(
+									'Minimum query length',
+									'advanced-accordion'
+								) }
+								value={ searchMinLength }
+								onChange={ ( val ) =>
+									setAttributes( { searchMinLength: val } )
+								}
+								min={ 1 }
+								max={ 5 }
+								step={ 1 }
+							/>
+							<TextControl
+								label={ __(
+									'"No results" message',
+									'advanced-accordion'
+								) }
+								placeholder={ __(
+									'No matching items found.',
+									'advanced-accordion'
+								) }
+								value={ searchNoResultsText }
+								onChange={ ( val ) =>
+									setAttributes( { searchNoResultsText: val } )
+								}
+							/>
+							<TextControl
+								label={ __(
+									'Result count announcement',
+									'advanced-accordion'
+								) }
+								help={ sprintf(
+									/* translators: %s: the placeholder for the number, "%d". */
+									__(
+										'Read out by screen readers. %s is replaced with the number of matches. Leave empty for a translated message in the right plural form.',
+										'advanced-accordion'
+									),
+									'%d'
+								) }
+								placeholder={
+									/* translators: %d: number of matching accordion items. */
+									_n(
+										'%d matching item',
+										'%d matching items',
+										2,
+										'advanced-accordion'
+									)
+								}
+								value={ searchResultsText }
+								onChange={ ( val ) =>
+									setAttributes( { searchResultsText: val } )
+								}
+							/>
+						</>
+					) }
+				</PanelBody>
+
+				{ /* ── Expand / collapse all ──────────────────────── */ }
+				<PanelBody
+					title={ __( 'Expand / Collapse All', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<SelectControl
+						label={ __( 'Controls', 'advanced-accordion' ) }
+						help={
+							autoClose
+								? __(
+										'Not shown while "Auto-close other items" is on.',
+										'advanced-accordion'
+								  )
+								: __(
+										'Buttons that open or close every item at once.',
+										'advanced-accordion'
+								  )
+						}
+						value={ expandAllControls }
+						options={ EXPAND_ALL_OPTIONS }
+						onChange={ ( val ) =>
+							setAttributes( { expandAllControls: val } )
+						}
+						disabled={ autoClose }
+					/>
+					{ expandAllControls && ! autoClose && (
+						<>
+							<SelectControl
+								label={ __( 'Position', 'advanced-accordion' ) }
+								value={ expandAllPosition }
+								options={ EXPAND_ALL_POSITION_OPTIONS }
+								onChange={ ( val ) =>
+									setAttributes( { expandAllPosition: val } )
+								}
+							/>
+							<TextControl
+								label={ __(
+									'"Expand all" label',
+									'advanced-accordion'
+								) }
+								value={ expandAllLabel }
+								onChange={ ( val ) =>
+									setAttributes( { expandAllLabel: val } )
+								}
+							/>
+							<TextControl
+								label={ __(
+									'"Collapse all" label',
+									'advanced-accordion'
+								) }
+								value={ collapseAllLabel }
+								onChange={ ( val ) =>
+									setAttributes( { collapseAllLabel: val } )
+								}
+							/>
+						</>
+					) }
+				</PanelBody>
+
+				{ /* ── SEO ────────────────────────────────────────── */ }
+				<PanelBody
+					title={ __( 'SEO', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __( 'Output FAQ schema', 'advanced-accordion' ) }
+						help={ __(
+							'Adds FAQPage structured data (JSON-LD) built from the toggle headings and content. Questions repeated across accordions are only listed once.',
+							'advanced-accordion'
+						) }
+						checked={ outputFaqSchema }
+						onChange={ ( val ) =>
+							setAttributes( { outputFaqSchema: val } )
+						}
+					/>
+				</PanelBody>
+
+				{ /* ── Analytics ──────────────────────────────────── */ }
+				<PanelBody
+					title={ __( 'Analytics', 'advanced-accordion' ) }
+					initialOpen={ false }
+				>
+					<ToggleControl
+						label={ __(
+							'Track item engagement',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Pushes an event to the dataLayer (e.g. Google Tag Manager) whenever an item opens or closes, including how long it stayed open.',
+							'advanced-accordion'
+						) }
+						checked={ analytics }
+						onChange={ ( val ) =>
+							setAttributes( { analytics: val } )
+						}
+					/>
 				</PanelBody>
 
 				{ /* ── Animation ──────────────────────────────────── */ }
@@ -277,11 +826,30 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 					/>
 				</PanelBody>
 
-				{ /* ── Icon defaults ─────────────────────────────── */ }
+				{ /* ── Toggle defaults ───────────────────────────── */ }
 				<PanelBody
-					title={ __( 'Icon Defaults', 'advanced-accordion' ) }
+					title={ __( 'Toggle Defaults', 'advanced-accordion' ) }
 					initialOpen={ false }
 				>
+					<SelectControl
+						label={ __( 'Heading Level', 'advanced-accordion' ) }
+						help={ __(
+							'Used by toggles set to inherit. Nested accordions have their own defaults.',
+							'advanced-accordion'
+						) }
+						value={ headingTag }
+						options={ [
+							{ label: 'H2', value: 'h2' },
+							{ label: 'H3', value: 'h3' },
+							{ label: 'H4', value: 'h4' },
+							{ label: 'H5', value: 'h5' },
+							{ label: 'H6', value: 'h6' },
+							{ label: 'Span (no heading)', value: 'span' },
+						] }
+						onChange={ ( val ) =>
+							setAttributes( { headingTag: val } )
+						}
+					/>
 					<SelectControl
 						label={ __( 'Icon Position', 'advanced-accordion' ) }
 						value={ iconPosition }
@@ -301,10 +869,63 @@ export default function ContainerEdit( { attributes, setAttributes, clientId } )
 							setAttributes( { iconRotation: val } )
 						}
 					/>
+					<RangeControl
+						label={ __( 'Icon Size (px)', 'advanced-accordion' ) }
+						value={ iconSize }
+						onChange={ ( val ) =>
+							setAttributes( { iconSize: val } )
+						}
+						min={ 8 }
+						max={ 64 }
+						step={ 1 }
+						allowReset
+					/>
+					<RangeControl
+						label={ __(
+							'Icon Spacing (px)',
+							'advanced-accordion'
+						) }
+						help={ __(
+							'Gap between the icon and the toggle text.',
+							'advanced-accordion'
+						) }
+						value={ iconSpacing }
+						onChange={ ( val ) =>
+							setAttributes( { iconSpacing: val } )
+						}
+						min={ 0 }
+						max={ 48 }
+						step={ 1 }
+						allowReset
+					/>
 				</PanelBody>
 			</InspectorControls>
 
-			<div { ...innerBlocksProps } style={ { ...blockProps.style, ...styleVars } } />
+			<div { ...innerBlocksProps } style={ { ...blockProps.style, ...styleVars } }>
+				{ depth > 0 && (
+					<span className="aa-depth-badge">
+						{ sprintf(
+							/* translators: %d: nesting level of the accordion. */
+							__( 'Nested · level %d', 'advanced-accordion' ),
+							depth + 1
+						) }
+					</span>
+				) }
+				{ enableSearch && (
+					<div className="aa-search">
+						<input
+							type="search"
+							className="aa-search-input"
+							placeholder={ searchPlaceholder }
+							aria-label={ searchPlaceholder }
+							disabled
+						/>
+					</div>
+				) }
+				{ expandAllPosition === 'top' && toggleAllPreview }
+				{ children }
+				{ expandAllPosition === 'bottom' && toggleAllPreview }
+			</div>
 		</>
 	);
 }
@@ -14,6 +14,7 @@ import { registerBlockType } from '@wordpress/blocks';
 import containerMeta from './block.json';
 import ContainerEdit from './edit';
 import containerSave from './save';
+import containerDeprecated from './deprecated';
 
 /* ── Item block ─────────────────────────────────────────────────── */
 import itemMeta from './accordion-item/block.json';
@@ -24,6 +25,7 @@ import itemSave from './accordion-item/save';
 import toggleMeta from './accordion-toggle/block.json';
 import ToggleEdit from './accordion-toggle/edit';
 import toggleSave from './accordion-toggle/save';
+import toggleDeprecated from './accordion-toggle/deprecated';
 
 /* ── Content block ──────────────────────────────────────────────── */
 import contentMeta from './accordion-content/block.json';
@@ -31,6 +33,9 @@ import ContentEdit from './accordion-content/edit';
 import contentSave from './accordion-content/save';
 import contentDeprecated from './accordion-content/deprecated';
 
+/* ── Editor sidebar: linked groups ──────────────────────────────── */
+import './link-group-panel';
+
 /* ── Styles ─────────────────────────────────────────────────────── */
 import './editor.scss'; // Editor-only styles (via editorStyle in block.json)
 import './style.scss';  // Frontend + Editor styles (via style in block.json)
@@ -43,6 +48,7 @@ registerBlockType( containerMeta.name, {
 	...containerMeta,
 	edit: ContainerEdit,
 	save: containerSave,
+	deprecated: containerDeprecated,
 	/**
 	 * Block variations let users pick a preset template when inserting.
 	 */
@@ -140,6 +146,7 @@ registerBlockType( toggleMeta.name, {
 	...toggleMeta,
 	edit: ToggleEdit,
 	save: toggleSave,
+	deprecated: toggleDeprecated,
 } );
 
 registerBlockType( contentMeta.name, {
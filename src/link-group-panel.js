@@ -0,0 +1,155 @@
+/**
+ * Advanced Accordion – Linked Groups Document Panel
+ *
+ * Lists every linked group in the document with its members, in the
+ * document settings sidebar. Groups can be renamed across all members,
+ * their behavior and scope changed, and members removed from a group.
+ */
+
+import { __, sprintf } from '@wordpress/i18n';
+import { registerPlugin } from '@wordpress/plugins';
+import { useDispatch } from '@wordpress/data';
+import { useState } from '@wordpress/element';
+import { Button, SelectControl, TextControl } from '@wordpress/components';
+import {
+	useLinkGroups,
+	groupColor,
+	groupSettings,
+	LINK_MODE_OPTIONS,
+	LINK_SCOPE_OPTIONS,
+} from './link-groups';
+
+/**
+ * One group: its name (renamable) and its members.
+ */
+function LinkGroup( { groupId, members, existing } ) {
+	const [ name, setName ] = useState( groupId );
+	const { updateBlockAttributes, selectBlock } =
+		useDispatch( 'core/block-editor' );
+
+	const clientIds = members.map( ( member ) => member.clientId );
+	const { mode, scope } = groupSettings( members );
+
+	const newName = name.trim();
+	const canRename = newName && newName !== groupId;
+	const rename = () =>
+		updateBlockAttributes( clientIds, { linkGroupId: newName } );
+
+	return (
+		<div className="aa-link-group">
+			<p className="aa-link-group-name">
+				<span
+					className="aa-link-group-swatch"
+					style={ { background: groupColor( groupId ) } }
+				/>
+				{ groupId }
+			</p>
+			<TextControl
+				label={ __( 'Group ID', 'advanced-accordion' ) }
+				hideLabelFromVision
+				value={ name }
+				onChange={ setName }
+				help={
+					canRename && existing.includes( newName )
+						? __(
+								'A group with this ID exists; renaming merges the two.',
+								'advanced-accordion'
+						  )
+						: undefined
+				}
+			/>
+			<Button
+				variant="secondary"
+				isSmall
+				disabled={ ! canRename }
+				onClick={ rename }
+			>
+				{ __( 'Rename', 'advanced-accordion' ) }
+			</Button>
+			<SelectControl
+				label={ __( 'Behavior', 'advanced-accordion' ) }
+				value={ mode }
+				options={ LINK_MODE_OPTIONS }
+				onChange={ ( val ) =>
+					updateBlockAttributes( clientIds, { linkGroupMode: val } )
+				}
+			/>
+			<SelectControl
+				label={ __( 'Scope', 'advanced-accordion' ) }
+				value={ scope }
+				options={ LINK_SCOPE_OPTIONS }
+				onChange={ ( val ) =>
+					updateBlockAttributes( clientIds, { linkGroupScope: val } )
+				}
+			/>
+			<ul className="aa-link-group-members">
+				{ members.map( ( { clientId, heading, leader } ) => (
+					<li key={ clientId }>
+						<Button
+							variant="link"
+							onClick={ () => selectBlock( clientId ) }
+						>
+							{ heading || __( '(No title)', 'advanced-accordion' ) }
+							{ mode === 'leader' &&
+								leader &&
+								` (${ __( 'leader', 'advanced-accordion' ) })` }
+						</Button>
+						<Button
+							variant="tertiary"
+							isDestructive
+							isSmall
+							label={ sprintf(
+								/* translators: %s: item heading. */
+								__( 'Remove "%s" from the group', 'advanced-accordion' ),
+								heading
+							) }
+							onClick={ () =>
+								updateBlockAttributes( clientId, {
+									linkGroupId: '',
+								} )
+							}
+						>
+							{ __( 'Remove', 'advanced-accordion' ) }
+						</Button>
+					</li>
+				) ) }
+			</ul>
+		</div>
+	);
+}
+
+function LinkGroupPanel() {
+	const groups = useLinkGroups();
+
+	// The post editor's document sidebar (wp.editor from WordPress 6.6,
+	// wp.editPost before). Looked up at runtime so the block script
+	// doesn't depend on either, e.g. in the widgets editor.
+	const DocumentPanel =
+		window.wp?.editor?.PluginDocumentSettingPanel ||
+		window.wp?.editPost?.PluginDocumentSettingPanel;
+
+	if ( ! DocumentPanel || ! groups.size ) return null;
+
+	const existing = Array.from( groups.keys() );
+
+	return (
+		<DocumentPanel
+			name="advanced-accordion-link-groups"
+			title={ __( 'Linked Groups', 'advanced-accordion' ) }
+			className="aa-link-groups-panel"
+		>
+			{ Array.from( groups, ( [ groupId, members ] ) => (
+				<LinkGroup
+					key={ groupId }
+					groupId={ groupId }
+					members={ members }
+					existing={ existing }
+				/>
+			) ) }
+		</DocumentPanel>
+	);
+}
+
+registerPlugin( 'advanced-accordion-link-groups', {
+	render: LinkGroupPanel,
+} );
@@ -0,0 +1,107 @@
+/**
+ * Advanced Accordion – Link Groups (editor)
+ *
+ * Collects the linked groups used in the document, for the item's group
+ * combobox, the document sidebar panel and the colour of the canvas
+ * badges.
+ */
+
+import { useSelect } from '@wordpress/data';
+import { useMemo } from '@wordpress/element';
+
+/**
+ * Plain text of an item's toggle heading.
+ */
+function itemHeading( block ) {
+	const toggle = block.innerBlocks.find(
+		( inner ) => inner.name === 'asuspended/accordion-toggle'
+	);
+	return ( toggle?.attributes.heading || '' )
+		.replace( /<[^>]*>/g, '' )
+		.trim();
+}
+
+/**
+ * Group ID → its member items, in document order.
+ *
+ * @param {Array} blocks Block tree.
+ * @return {Map<string, Array<Object>>} Members: { clientId, heading,
+ *                                      mode, scope, leader }.
+ */
+function collectGroups( blocks ) {
+	const groups = new Map();
+	const walk = ( list ) => {
+		for ( const block of list ) {
+			const groupId = block.attributes.linkGroupId;
+			if ( block.name === 'asuspended/accordion-item' && groupId ) {
+				if ( ! groups.has( groupId ) ) groups.set( groupId, [] );
+				groups.get( groupId ).push( {
+					clientId: block.clientId,
+					heading: itemHeading( block ),
+					mode: block.attributes.linkGroupMode,
+					scope: block.attributes.linkGroupScope,
+					leader: block.attributes.linkGroupLeader,
+				} );
+			}
+			if ( block.innerBlocks?.length ) {
+				walk( block.innerBlocks );
+			}
+		}
+	};
+	walk( blocks );
+	return groups;
+}
+
+/**
+ * The document's linked groups, recomputed when blocks change.
+ *
+ * @return {Map<string, Array<Object>>} See collectGroups().
+ */
+export function useLinkGroups() {
+	const blocks = useSelect(
+		( select ) => select( 'core/block-editor' ).getBlocks(),
+		[]
+	);
+	return useMemo( () => collectGroups( blocks ), [ blocks ] );
+}
+
+export const LINK_MODE_OPTIONS = [
+	{ label: 'Mirror – open and close together', value: 'mirror' },
+	{ label: 'Exclusive – opening one closes the others', value: 'exclusive' },
+	{ label: 'Leader / follower – only leaders propagate', value: 'leader' },
+];
+
+export const LINK_SCOPE_OPTIONS = [
+	{ label: 'Whole page', value: 'page' },
+	{ label: 'Same post', value: 'post' },
+	{ label: 'Same section', value: 'section' },
+];
+
+/**
+ * A group's mode and scope. The editor sets them on all members at
+ * once; if members disagree (edited by hand), the first member's show.
+ *
+ * @param {Array<Object>} members See collectGroups().
+ * @return {{mode: string, scope: string}}
+ */
+export function groupSettings( members = [] ) {
+	return {
+		mode: members[ 0 ]?.mode || 'mirror',
+		scope: members[ 0 ]?.scope || 'page',
+	};
+}
+
+/**
+ * A stable colour per group, so linked items are recognisable at a
+ * glance. Dark enough for white badge text.
+ *
+ * @param {string} groupId
+ * @return {string} CSS colour.
+ */
+export function groupColor( groupId ) {
+	let hue = 0;
+	for ( let i = 0; i < groupId.length; i++ ) {
+		hue = ( hue * 31 + groupId.charCodeAt( i ) ) % 360;
+	}
+	return `hsl(${ hue }, 65%, 36%)`;
+}
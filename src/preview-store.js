@@ -0,0 +1,63 @@
+/**
+ * Advanced Accordion – Editor Preview Store
+ *
+ * Which items are expanded in the editor canvas, and which accordions are
+ * in focus mode. This is editor-only state: it is never written to block
+ * attributes, so previewing never changes what is saved (unlike
+ * "Open by default").
+ */
+
+import { createReduxStore, register } from '@wordpress/data';
+
+export const STORE_NAME = 'advanced-accordion/preview';
+
+const DEFAULT_STATE = {
+	// Item clientId → expanded. Items start expanded.
+	open: {},
+	// Container clientId → focus mode on.
+	focus: {},
+};
+
+const actions = {
+	setItemsOpen( clientIds, isOpen ) {
+		return { type: 'SET_ITEMS_OPEN', clientIds, isOpen };
+	},
+	setFocusMode( clientId, isOn ) {
+		return { type: 'SET_FOCUS_MODE', clientId, isOn };
+	},
+};
+
+function reducer( state = DEFAULT_STATE, action ) {
+	switch ( action.type ) {
+		case 'SET_ITEMS_OPEN': {
+			const open = { ...state.open };
+			action.clientIds.forEach( ( id ) => {
+				open[ id ] = action.isOpen;
+			} );
+			return { ...state, open };
+		}
+		case 'SET_FOCUS_MODE':
+			return {
+				...state,
+				focus: { ...state.focus, [ action.clientId ]: action.isOn },
+			};
+	}
+	return state;
+}
+
+const selectors = {
+	isItemOpen( state, clientId ) {
+		return state.open[ clientId ] ?? true;
+	},
+	isFocusMode( state, clientId ) {
+		return !! state.focus[ clientId ];
+	},
+};
+
+export const store = createReduxStore( STORE_NAME, {
+	reducer,
+	actions,
+	selectors,
+} );
+
+register( store );
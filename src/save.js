@@ -6,6 +6,7 @@
  */
 
 import { useBlockProps, useInnerBlocksProps } from '@wordpress/block-editor';
+import { iconStyleVars } from './accordion-toggle/icons';
 
 export default function containerSave( { attributes } ) {
 	const {
@@ -20,6 +21,35 @@ export default function containerSave( { attributes } ) {
 		staggerDelay,
 		iconPosition,
 		iconRotation,
+		iconSize,
+		iconSpacing,
+		updateHash,
+		scrollIntoView,
+		scrollOffset,
+		scrollOffsetSelector,
+		stickyToggles,
+		printMode,
+		rememberState,
+		rememberStateExpiry,
+		rememberStateResetOnChange,
+		enableSearch,
+		searchPlaceholder,
+		searchMode,
+		searchMinLength,
+		searchNoResultsText,
+		searchResultsText,
+		layout,
+		horizontalBreakpoint,
+		horizontalHeight,
+		displayMode,
+		tabsBreakpoint,
+		collapseDescendants,
+		analytics,
+		expandAllControls,
+		expandAllPosition,
+		expandAllLabel,
+		collapseAllLabel,
+		markup,
 	} = attributes;
 
 	const easingValue =
@@ -27,6 +57,39 @@ export default function containerSave( { attributes } ) {
 			? customEasing
 			: animationEasing;
 
+	// The search field itself is rendered by view.js, so it never shows up
+	// without the script that makes it work.
+	const searchAttrs = enableSearch
+		? {
+				'data-search': 'true',
+				'data-search-placeholder': searchPlaceholder,
+				'data-search-mode': searchMode,
+				'data-search-min-length': searchMinLength,
+				// Left out when empty: the server fills in translated ones.
+				'data-search-no-results': searchNoResultsText || undefined,
+				'data-search-results': searchResultsText || undefined,
+		  }
+		: {};
+
+	// Likewise the expand / collapse all buttons. Auto-close containers
+	// only ever have one item open, so they get none.
+	const toggleAllAttrs =
+		expandAllControls && ! autoClose
+			? {
+					'data-toggle-all': expandAllControls,
+					'data-toggle-all-position': expandAllPosition,
+					'data-expand-all-label': expandAllLabel,
+					'data-collapse-all-label': collapseAllLabel,
+			  }
+			: {};
+
+	// A <summary> can't leave its <details> for a tab list or sit beside
+	// its panel, so native markup is always a plain accordion.
+	const isNative = markup === 'details';
+	const isTabs = displayMode === 'tabs' && ! isNative;
+	// Tabs take over the wide layout, so the horizontal mode doesn't apply.
+	const isHorizontal = layout === 'horizontal' && ! isTabs && ! isNative;
+
 	const blockProps = useBlockProps.save( {
 		className: 'wp-block-advanced-accordion',
 		'data-auto-close': autoClose ? 'true' : 'false',
@@ -39,12 +102,37 @@ export default function containerSave( { attributes } ) {
 		'data-stagger': staggerDelay,
 		'data-icon-position': iconPosition,
 		'data-icon-rotation': iconRotation ? 'true' : 'false',
+		'data-update-hash': updateHash ? 'true' : undefined,
+		'data-scroll-into-view': scrollIntoView ? 'true' : undefined,
+		'data-scroll-offset': scrollOffset || undefined,
+		'data-scroll-header': scrollOffsetSelector || undefined,
+		'data-sticky-toggles': stickyToggles ? 'true' : undefined,
+		'data-print': printMode !== 'expanded' ? printMode : undefined,
+		'data-markup': isNative ? markup : undefined,
+		'data-collapse-descendants': collapseDescendants ? 'true' : undefined,
+		'data-analytics': analytics ? 'true' : undefined,
+		'data-remember-state': rememberState || undefined,
+		'data-remember-expiry': rememberState ? rememberStateExpiry : undefined,
+		'data-remember-reset':
+			rememberState && ! rememberStateResetOnChange ? 'false' : undefined,
+		...searchAttrs,
+		...toggleAllAttrs,
+		'data-display-mode': isTabs ? displayMode : undefined,
+		'data-tabs-breakpoint': isTabs ? tabsBreakpoint : undefined,
+		'data-layout': isHorizontal ? layout : undefined,
+		'data-horizontal-breakpoint': isHorizontal
+			? horizontalBreakpoint
+			: undefined,
 		style: {
 			'--aa-duration': `${ animationDuration }s`,
 			'--aa-easing': easingValue,
 			'--aa-fade-duration': `${ contentFadeDuration }s`,
 			'--aa-slide-distance': `${ contentSlideDistance }px`,
 			'--aa-stagger': `${ staggerDelay }ms`,
+			...( isHorizontal && {
+				'--aa-horizontal-height': `${ horizontalHeight }px`,
+			} ),
+			...iconStyleVars( iconSize, iconSpacing ),
 		},
 	} );
 
@@ -0,0 +1,31 @@
+/**
+ * Save-time parts of @wordpress/block-editor for the unit tests.
+ *
+ * The real package pulls in the whole editor UI. Its save helpers are
+ * thin wrappers around @wordpress/blocks, reproduced here so save()
+ * output matches what the editor serializes.
+ */
+
+import { RawHTML } from '@wordpress/element';
+// These are exactly what the block-editor save helpers call.
+/* eslint-disable @wordpress/no-unsafe-wp-apis */
+import {
+	__unstableGetBlockProps as getBlockProps,
+	__unstableGetInnerBlocksProps as getInnerBlocksProps,
+} from '@wordpress/blocks';
+/* eslint-enable @wordpress/no-unsafe-wp-apis */
+
+export const useBlockProps = {};
+useBlockProps.save = getBlockProps;
+
+export const useInnerBlocksProps = {};
+useInnerBlocksProps.save = getInnerBlocksProps;
+
+export const InnerBlocks = {};
+InnerBlocks.Content = () => getInnerBlocksProps().children;
+
+export const RichText = {};
+RichText.Content = ( { value, tagName: Tag, ...props } ) => {
+	const content = <RawHTML>{ value }</RawHTML>;
+	return Tag ? <Tag { ...props }>{ content }</Tag> : content;
+};
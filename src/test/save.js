@@ -0,0 +1,235 @@
+/**
+ * Saved markup of the accordion blocks.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import {
+	registerBlockType,
+	createBlock,
+	serialize,
+	parse,
+} from '@wordpress/blocks';
+
+import containerMeta from '../block.json';
+import containerSave from '../save';
+import containerDeprecated from '../deprecated';
+import itemMeta from '../accordion-item/block.json';
+import itemSave from '../accordion-item/save';
+import toggleMeta from '../accordion-toggle/block.json';
+import toggleSave from '../accordion-toggle/save';
+import toggleDeprecated from '../accordion-toggle/deprecated';
+import { inheritedFromContext } from '../accordion-toggle/inheritance';
+import contentMeta from '../accordion-content/block.json';
+import contentSave from '../accordion-content/save';
+import contentDeprecated from '../accordion-content/deprecated';
+
+jest.mock( '@wordpress/block-editor', () =>
+	require( './helpers/block-editor' )
+);
+
+const edit = () => null;
+
+// Registered up front: the describe blocks below build their markup
+// while the tests are collected.
+registerBlockType( containerMeta.name, {
+	...containerMeta,
+	edit,
+	save: containerSave,
+	deprecated: containerDeprecated,
+} );
+registerBlockType( itemMeta.name, { ...itemMeta, edit, save: itemSave } );
+registerBlockType( toggleMeta.name, {
+	...toggleMeta,
+	edit,
+	save: toggleSave,
+	deprecated: toggleDeprecated,
+} );
+registerBlockType( contentMeta.name, {
+	...contentMeta,
+	edit,
+	save: contentSave,
+	deprecated: contentDeprecated,
+} );
+
+/**
+ * The block context a child gets from its container, the way the editor
+ * passes it: only the keys the child declares in `usesContext`.
+ *
+ * @param {Object} childMeta           The child's block.json.
+ * @param {Object} containerAttributes Container attributes (defaults apply).
+ * @return {Object} Block context.
+ */
+function contextFor( childMeta, containerAttributes ) {
+	const context = {};
+	Object.entries( containerMeta.providesContext ).forEach(
+		( [ key, attribute ] ) => {
+			if ( ( childMeta.usesContext || [] ).includes( key ) ) {
+				context[ key ] =
+					containerAttributes[ attribute ] ??
+					containerMeta.attributes[ attribute ].default;
+			}
+		}
+	);
+	return context;
+}
+
+/**
+ * An accordion as the editor saves it: items and toggles carry the copies
+ * of the container's context their edit components mirror.
+ *
+ * @param {Object}   attributes Container attributes.
+ * @param {string[]} headings   One item per heading.
+ * @return {Object} Container block.
+ */
+function accordion( attributes, headings ) {
+	const itemContext = contextFor( itemMeta, attributes );
+	const toggleContext = contextFor( toggleMeta, attributes );
+
+	return createBlock(
+		containerMeta.name,
+		attributes,
+		headings.map( ( heading, i ) =>
+			createBlock(
+				itemMeta.name,
+				{
+					itemId: `aa-item-${ i + 1 }`,
+					markup: itemContext[ 'asuspended/markup' ] || 'div',
+				},
+				[
+					createBlock( toggleMeta.name, {
+						heading,
+						inherited: inheritedFromContext( toggleContext ),
+					} ),
+					createBlock( contentMeta.name ),
+				]
+			)
+		)
+	);
+}
+
+function allBlocks( blocks ) {
+	return blocks.flatMap( ( block ) => [
+		block,
+		...allBlocks( block.innerBlocks ),
+	] );
+}
+
+describe( 'native <details> markup', () => {
+	const html = serialize(
+		accordion( { markup: 'details', autoClose: true }, [ 'Question' ] )
+	);
+
+	it( 'saves items as <details>', () => {
+		expect( html ).toContain( '<details class="wp-block-accordion-item"' );
+	} );
+
+	it( 'saves a toggle inside a details-mode container as <summary>', () => {
+		expect( html ).toContain(
+			'<summary class="wp-block-accordion-toggle aa-toggle-button"'
+		);
+		expect( html ).not.toContain( '<button' );
+	} );
+
+	it( 'validates when parsed back', () => {
+		allBlocks( parse( html ) ).forEach( ( block ) =>
+			expect( block.isValid ).toBe( true )
+		);
+	} );
+} );
+
+describe( 'existing content', () => {
+	// Saved by version 1.0.1, before the markup option existed.
+	const fixture = readFileSync(
+		join( __dirname, 'fixtures', 'existing-content.html' ),
+		'utf8'
+	);
+
+	it( 'keeps validating', () => {
+		const blocks = allBlocks( parse( fixture ) );
+
+		expect( blocks ).toHaveLength( 11 );
+		blocks.forEach( ( block ) => expect( block.isValid ).toBe( true ) );
+	} );
+
+	it( 'saves unchanged', () => {
+		expect( serialize( parse( fixture ) ) ).toBe( fixture );
+	} );
+
+	it( 'keeps saving <div> items by default', () => {
+		expect(
+			serialize( accordion( {}, [ 'First', 'Second' ] ) )
+		).not.toContain( '<details' );
+	} );
+} );
+
+describe( 'uploaded SVG icons', () => {
+	const svg =
+		'<svg viewBox="0 0 24 24" fill="currentColor" focusable="false"><path d="M0 0h24v24z"></path></svg>';
+	const toggle = createBlock( toggleMeta.name, {
+		heading: 'Question',
+		iconClosed: 'custom',
+		customIconSvg: svg,
+		customIconSvgId: 42,
+	} );
+
+	it( 'are left to the server as a placeholder', () => {
+		const html = serialize( toggle );
+
+		expect( html ).toContain( '<span class="aa-icon-svg"></span>' );
+		expect( html ).not.toContain( '<path' );
+	} );
+
+	it( 'keep their placeholder once HTML filtering dropped the markup', () => {
+		// kses strips the tags from the attribute, and there is no text.
+		const filtered = serialize( toggle ).replace(
+			/"customIconSvg":"[^"]*"/,
+			'"customIconSvg":""'
+		);
+		const [ block ] = parse( filtered );
+
+		expect( block.attributes.customIconSvg ).toBe( '' );
+		expect( block.isValid ).toBe( true );
+	} );
+
+	it( 'saved inline by earlier versions still validate', () => {
+		const inline = serialize( toggle ).replace(
+			'<span class="aa-icon-svg"></span>',
+			`<span class="aa-icon-svg">${ svg }</span>`
+		);
+		const [ block ] = parse( inline );
+
+		expect( console ).toHaveInformed();
+		expect( block.isValid ).toBe( true );
+		expect( block.attributes.customIconSvg ).toBe( svg );
+		expect( serialize( block ) ).toContain(
+			'<span class="aa-icon-svg"></span>'
+		);
+	} );
+} );
+
+describe( 'search messages', () => {
+	const html = serialize(
+		accordion( { enableSearch: true }, [ 'First', 'Second' ] )
+	);
+
+	it( 'are left to the server when empty', () => {
+		expect( html ).toContain( 'data-search="true"' );
+		expect( html ).not.toContain( 'data-search-no-results' );
+		expect( html ).not.toContain( 'data-search-results' );
+	} );
+
+	it( 'saved in English by earlier versions still validate', () => {
+		const english = html.replace(
+			'data-search-min-length="2"',
+			'data-search-min-length="2" data-search-no-results="No matching items found." data-search-results="%d matching items"'
+		);
+		const [ block ] = parse( english );
+
+		expect( console ).toHaveInformed();
+		expect( block.isValid ).toBe( true );
+		expect( block.attributes.searchNoResultsText ).toBe( '' );
+		expect( block.attributes.searchResultsText ).toBe( '' );
+		expect( serialize( block ) ).toBe( html );
+	} );
+} );
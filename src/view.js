@@ -2,13 +2,34 @@
  * Advanced Accordion – Frontend View Script
  *
  * Hydrates static accordion markup with interactive behaviour:
- *   - Smooth expand / collapse via maxHeight + requestAnimationFrame
- *   - Linked groups (items with the same data-link-group toggle together)
+ *   - Interruptible, reversible expand / collapse (Web Animations API)
+ *   - Linked groups (items with the same data-link-group toggle together,
+ *     mirrored, exclusive or leader-driven, page-wide or scoped)
  *   - Keyboard navigation (Arrow keys, Enter, Space, Home, End)
  *   - ARIA attributes (aria-expanded, aria-controls, role="region")
  *   - Reduced-motion media query support
  *   - Dynamic height recalculation on window resize
  *   - Per-item animation overrides merged with container defaults
+ *   - Public API on window.advancedAccordion + aa:* lifecycle events
+ *   - Duplicate item IDs made unique at runtime
+ *   - Deep linking via location.hash (+ optional hash sync, copy-link buttons)
+ *   - Scroll anchoring while siblings collapse; optional scroll into view
+ *     below a fixed offset / sticky header
+ *   - Optional sticky toggles for open items
+ *   - Print: collapsed items expanded (default), left collapsed or
+ *     headings only
+ *   - Native <details> / <summary> items, enhanced with the same
+ *     animations, linked groups and keyboard support
+ *   - Optional open-state persistence in sessionStorage / localStorage
+ *   - Optional live search that filters, highlights and opens items
+ *   - Optional Expand all / Collapse all buttons (staggered)
+ *   - hidden="until-found" panels so find-in-page reaches collapsed content
+ *   - Optional horizontal ("expanding panels") layout above a breakpoint
+ *   - Optional responsive tabs (WAI-ARIA tablist) above a breakpoint
+ *   - Nested accordions: ancestor heights follow, optional descendant collapse
+ *   - Deferred panel media, loaded on first open (optionally on hover/focus)
+ *   - Media in closing panels paused (optionally resumed on reopen)
+ *   - Optional engagement analytics (dataLayer or callback)
  */
 
 (function () {
@@ -22,6 +43,32 @@
 		'(prefers-reduced-motion: reduce)'
 	);
 
+	/**
+	 * Whether the browser supports hidden="until-found" (and beforematch).
+	 */
+	const supportsUntilFound = 'onbeforematch' in document.body;
+
+	/**
+	 * Hide a collapsed panel. Where supported, hidden="until-found" keeps
+	 * its text reachable by the browser's find-in-page.
+	 */
+	function hidePanel(content) {
+		if (supportsUntilFound) {
+			content.setAttribute('hidden', 'until-found');
+		} else {
+			content.hidden = true;
+		}
+	}
+
+	/**
+	 * Whether an item is a native <details> element (data-markup="details"
+	 * on the container). Its `open` attribute shows the panel, not the
+	 * panel's `hidden`.
+	 */
+	function isNative(item) {
+		return item.tagName === 'DETAILS';
+	}
+
 	/**
 	 * Read a numeric data-attribute, falling back to a default.
 	 */
@@ -46,6 +93,238 @@
 		return raw === 'true';
 	}
 
+	/**
+	 * The fragment that links to an item: its HTML anchor, else its
+	 * data-item-id.
+	 */
+	function itemHash(item) {
+		return item.id || item.getAttribute('data-item-id') || '';
+	}
+
+	/**
+	 * Give an item whose data-item-id repeats an earlier item's (pasted or
+	 * duplicated in the editor) a unique one, so element IDs and
+	 * aria-controls stay unique. The first item in document order keeps
+	 * the ID, so links still reach it; later copies get -2, -3…
+	 */
+	function dedupeItemId(item) {
+		const id = item.getAttribute('data-item-id');
+		if (!id) return;
+
+		const taken = (candidate) =>
+			document.querySelector(
+				`.wp-block-accordion-item[data-item-id="${CSS.escape(
+					candidate
+				)}"], #${CSS.escape(`${candidate}-content`)}`
+			);
+
+		if (taken(id) === item) return;
+
+		let n = 2;
+		while (taken(`${id}-${n}`)) n++;
+		item.setAttribute('data-item-id', `${id}-${n}`);
+	}
+
+	/**
+	 * Where an item's linked group is looked up: the whole page, or with
+	 * data-link-scope="post" / "section" the item's post or section.
+	 * Falls back to the wider scope when there is no such ancestor.
+	 */
+	const LINK_SCOPES = {
+		post: 'article, .wp-block-post, .wp-block-post-content, .entry-content',
+		section: 'section, .wp-block-group, .wp-block-cover',
+	};
+
+	function linkScopeRoot(item) {
+		const scope = dataStr(item, 'link-scope');
+		const root =
+			(scope === 'section' && item.closest(LINK_SCOPES.section)) ||
+			(scope && item.closest(LINK_SCOPES.post));
+		return root || document;
+	}
+
+	/**
+	 * The current location.hash without the leading '#', decoded.
+	 */
+	function decodeHash() {
+		try {
+			return decodeURIComponent(window.location.hash.slice(1));
+		} catch (e) {
+			return window.location.hash.slice(1);
+		}
+	}
+
+	/**
+	 * Small, stable string hash (djb2) – used to detect content changes.
+	 */
+	function hashString(str) {
+		// Kept within 32 bits, so stored signatures stay comparable.
+		let hash = 5381;
+		for (let i = 0; i < str.length; i++) {
+			hash = (hash * 33 + str.charCodeAt(i)) % 4294967296;
+		}
+		return hash.toString(36);
+	}
+
+	/**
+	 * Resolve a Web Storage area by name; null if unavailable or blocked
+	 * (e.g. disabled cookies or some private browsing modes).
+	 */
+	function getStorage(type) {
+		if (type !== 'session' && type !== 'local') return null;
+		try {
+			const storage =
+				type === 'local' ? window.localStorage : window.sessionStorage;
+			const probe = '__aa_probe__';
+			storage.setItem(probe, probe);
+			storage.removeItem(probe);
+			return storage;
+		} catch (e) {
+			return null;
+		}
+	}
+
+	/**
+	 * Attributes the server moves to data-aa-* in deferred panels.
+	 */
+	const DEFERRED_ATTRS = ['src', 'srcset', 'poster'];
+
+	/**
+	 * Longest wait for hydrated media before a panel opens anyway.
+	 */
+	const MEDIA_WAIT = 3000;
+
+	/**
+	 * Resolve once the given hydrated media know their size – images and
+	 * videos without width/height attributes have to load (metadata) first.
+	 * Returns null if nothing needs waiting for.
+	 */
+	function whenMediaSized(elements) {
+		const pending = elements.filter((el) => {
+			if (el.getAttribute('width') && el.getAttribute('height')) {
+				return false;
+			}
+			if (el.tagName === 'IMG') return !el.complete;
+			if (el.tagName === 'VIDEO') return el.readyState < 1;
+			return false;
+		});
+		if (!pending.length) return null;
+
+		return Promise.race([
+			Promise.all(
+				pending.map(
+					(el) =>
+						new Promise((resolve) => {
+							const type =
+								el.tagName === 'VIDEO' ? 'loadedmetadata' : 'load';
+							el.addEventListener(type, resolve, { once: true });
+							el.addEventListener('error', resolve, { once: true });
+						})
+				)
+			),
+			new Promise((resolve) => setTimeout(resolve, MEDIA_WAIT)),
+		]);
+	}
+
+	/**
+	 * Media matching this (or inside a match) keeps playing when its
+	 * panel closes, e.g. an ambient background video.
+	 */
+	const KEEP_PLAYING = '[data-aa-keep-playing], .aa-keep-playing';
+
+	/**
+	 * Embeds paused through their postMessage player APIs.
+	 */
+	const EMBED_PLAYERS = [
+		{
+			pattern: /^(https?:)?\/\/(www\.)?youtube(-nocookie)?\.com\/embed\//i,
+			pause: { event: 'command', func: 'pauseVideo', args: '' },
+		},
+		{
+			pattern: /^(https?:)?\/\/player\.vimeo\.com\/video\//i,
+			pause: { method: 'pause' },
+		},
+	];
+
+	/**
+	 * Pause the video, audio and known embeds below `root`. Returns the
+	 * native media elements that were playing.
+	 */
+	function pauseMedia(root) {
+		const paused = [];
+
+		root.querySelectorAll('video, audio, iframe').forEach((el) => {
+			if (el.closest(KEEP_PLAYING)) return;
+
+			if (el.tagName !== 'IFRAME') {
+				if (!el.paused) {
+					el.pause();
+					paused.push(el);
+				}
+				return;
+			}
+
+			const src = el.getAttribute('src') || '';
+			const player = EMBED_PLAYERS.find(({ pattern }) => pattern.test(src));
+			if (player && el.contentWindow) {
+				el.contentWindow.postMessage(
+					JSON.stringify(player.pause),
+					new URL(src, window.location.href).origin
+				);
+			}
+		});
+
+		return paused;
+	}
+
+	/**
+	 * Wrap every case-insensitive occurrence of `needle` in the text nodes
+	 * below `root` in <mark class="aa-search-mark">.
+	 */
+	function highlightText(root, needle) {
+		const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+			acceptNode: (node) =>
+				node.parentElement.closest('mark.aa-search-mark, script, style')
+					? NodeFilter.FILTER_REJECT
+					: NodeFilter.FILTER_ACCEPT,
+		});
+
+		const nodes = [];
+		while (walker.nextNode()) nodes.push(walker.currentNode);
+
+		nodes.forEach((node) => {
+			const text = node.nodeValue;
+			const lower = text.toLowerCase();
+			let index = lower.indexOf(needle);
+			if (index === -1) return;
+
+			const fragment = document.createDocumentFragment();
+			let last = 0;
+			while (index !== -1) {
+				fragment.append(text.slice(last, index));
+				const mark = document.createElement('mark');
+				mark.className = 'aa-search-mark';
+				mark.textContent = text.slice(index, index + needle.length);
+				fragment.append(mark);
+				last = index + needle.length;
+				index = lower.indexOf(needle, last);
+			}
+			fragment.append(text.slice(last));
+			node.replaceWith(fragment);
+		});
+	}
+
+	/**
+	 * Undo highlightText() below `root`.
+	 */
+	function removeHighlights(root) {
+		root.querySelectorAll('mark.aa-search-mark').forEach((mark) => {
+			const parent = mark.parentNode;
+			mark.replaceWith(mark.textContent);
+			parent.normalize();
+		});
+	}
+
 	/* ================================================================
 	 * Accordion Class
 	 * ================================================================ */
@@ -60,6 +339,105 @@
 			// Container-level settings (from data-* attributes).
 			this.autoClose = dataBool(container, 'auto-close');
 			this.allowMultiple = dataBool(container, 'allow-multiple', true);
+			this.updateHash = dataBool(container, 'update-hash');
+			this.collapseDescendants = dataBool(container, 'collapse-descendants');
+			this.analytics = dataBool(container, 'analytics');
+
+			// Horizontal layout applies only above its breakpoint; below it
+			// the accordion falls back to the regular vertical layout.
+			this.horizontal = false;
+			this._layoutQuery =
+				dataStr(container, 'layout') === 'horizontal'
+					? window.matchMedia(
+							`(min-width: ${dataNum(
+								container,
+								'horizontal-breakpoint',
+								768
+							)}px)`
+					  )
+					: null;
+			this._layoutHandler = null;
+
+			// Responsive tabs: a tablist above the breakpoint, the regular
+			// accordion below it.
+			this.tabs = false;
+			this._tabsQuery =
+				dataStr(container, 'display-mode') === 'tabs'
+					? window.matchMedia(
+							`(min-width: ${dataNum(
+								container,
+								'tabs-breakpoint',
+								768
+							)}px)`
+					  )
+					: null;
+			this._tabsHandler = null;
+			this._tablist = null;
+			this._activeItem = null;
+
+			// Live search (opt-in).
+			this.search = dataBool(container, 'search')
+				? {
+						placeholder: dataStr(container, 'search-placeholder'),
+						mode: dataStr(container, 'search-mode', 'content'),
+						minLength: dataNum(container, 'search-min-length', 2),
+						noResults: dataStr(container, 'search-no-results'),
+						resultsText: dataStr(container, 'search-results'),
+						// Translated defaults by number of matches (server).
+						resultCounts: JSON.parse(
+							dataStr(container, 'search-result-counts', '{}')
+						),
+				  }
+				: null;
+
+			// Expand all / Collapse all buttons (opt-in). Auto-close
+			// containers never show them.
+			this.toggleAll =
+				dataStr(container, 'toggle-all') && !this.autoClose
+					? {
+							single: dataStr(container, 'toggle-all') === 'single',
+							bottom:
+								dataStr(container, 'toggle-all-position') ===
+								'bottom',
+							expandLabel: dataStr(
+								container,
+								'expand-all-label',
+								'Expand all'
+							),
+							collapseLabel: dataStr(
+								container,
+								'collapse-all-label',
+								'Collapse all'
+							),
+					  }
+					: null;
+
+			// Scrolling opened items into view (opt-in). The offset and the
+			// sticky header also apply to deep links.
+			this.scroll = {
+				intoView: dataBool(container, 'scroll-into-view'),
+				offset: dataNum(container, 'scroll-offset', 0),
+				header: dataStr(container, 'scroll-header'),
+			};
+			this._anchorFrame = 0;
+
+			// Sticky toggles (container default, per-item override).
+			this.stickyToggles = dataBool(container, 'sticky-toggles');
+			this._stickyFrame = 0;
+			this._stickyHandler = null;
+
+			// Print: expanded | collapsed | headings.
+			this.printMode = dataStr(container, 'print', 'expanded');
+			this._printState = null;
+			this._beforePrintHandler = null;
+			this._afterPrintHandler = null;
+
+			// Open-state persistence (opt-in).
+			this.remember = {
+				storage: getStorage(dataStr(container, 'remember-state')),
+				expiry: dataNum(container, 'remember-expiry', 0),
+				resetOnChange: dataBool(container, 'remember-reset', true),
+			};
 
 			// Defaults for animation (individual items may override).
 			this.defaults = {
@@ -76,11 +454,37 @@
 					':scope > .wp-block-accordion-item'
 				)
 			);
+			this.items.forEach(dedupeItemId);
+
+			// Toggle button, its heading and the panel of each item. Cached
+			// because tabs mode moves the buttons out of their items.
+			this._parts = new Map();
+
+			// Running animation per item (see _animate()).
+			this._animations = new Map();
 
 			// Store listener references for cleanup
 			this._listeners = new Map();
+			this._prefetchListeners = new Map();
+
+			// Media paused on close, per item, to resume on reopen.
+			this._pausedMedia = new Map();
+
+			// When each open item opened (analytics dwell time).
+			this._openedAt = new Map();
+			this._findListeners = new Map();
+			this._nativeListeners = new Map();
+			this._detailsNames = new Map();
 			this._keydownHandler = null;
 			this._resizeObserver = null;
+			this._nestedHandler = null;
+			this._searchUi = null;
+			this._searchOpened = new Set();
+			this._toggleAllUi = null;
+			this._toggleAllTimers = [];
+
+			// Item IDs restored from storage (null = use data-open-default).
+			this._restoredState = this._loadState();
 
 			this._init();
 		}
@@ -88,28 +492,94 @@
 		/* ── Initialisation ────────────────────────────────────── */
 
 		_init() {
+			if (this._layoutQuery) {
+				this._applyLayout();
+				this._layoutHandler = () => this._applyLayout();
+				this._layoutQuery.addEventListener('change', this._layoutHandler);
+			}
+
 			this.items.forEach((item) => this._initItem(item));
 
+			if (this.search) {
+				this._initSearch();
+			}
+
+			if (this.toggleAll) {
+				this._initToggleAll();
+			}
+
+			if (this._tabsQuery) {
+				this._applyDisplayMode();
+				this._tabsHandler = () => this._applyDisplayMode();
+				this._tabsQuery.addEventListener('change', this._tabsHandler);
+			}
+
+			// Sticky toggles follow the sticky header as it hides / shows.
+			if (this.container.querySelector(':scope > .aa-has-sticky-toggle')) {
+				this._stickyHandler = () => {
+					if (this._stickyFrame) return;
+					this._stickyFrame = requestAnimationFrame(() => {
+						this._stickyFrame = 0;
+						this._updateStickyTop();
+					});
+				};
+				window.addEventListener('scroll', this._stickyHandler, {
+					passive: true,
+				});
+				this._updateStickyTop();
+			}
+
+			// Print the plain accordion, expanded as configured.
+			this._beforePrintHandler = () => this._beforePrint();
+			this._afterPrintHandler = () => this._afterPrint();
+			window.addEventListener('beforeprint', this._beforePrintHandler);
+			window.addEventListener('afterprint', this._afterPrintHandler);
+
 			// Keyboard navigation across toggle buttons in this container.
 			this._keydownHandler = (e) => this._handleKeyboard(e);
 			this.container.addEventListener('keydown', this._keydownHandler);
 
-			// Recalculate open heights on resize.
-			this._resizeObserver = new ResizeObserver(() =>
-				this._recalcOpenHeights()
-			);
+			// Recalculate open heights on resize – of the container and of
+			// each panel's children, so content that grows inside a panel
+			// locked to a px height (late images, nested accordions) is
+			// picked up too.
+			this._resizeObserver = new ResizeObserver(() => {
+				this._recalcOpenHeights();
+				this._updateStickyTop();
+			});
 			this._resizeObserver.observe(this.container);
+			this._parts.forEach(({ content }) =>
+				Array.from(content.children).forEach((child) =>
+					this._resizeObserver.observe(child)
+				)
+			);
+
+			// A nested accordion finished opening or closing.
+			this._nestedHandler = (e) => {
+				if (e.detail.instance !== this) this._recalcOpenHeights();
+			};
+			this.container.addEventListener('aa:open', this._nestedHandler);
+			this.container.addEventListener('aa:close', this._nestedHandler);
 		}
 
 		/**
 		 * Set up a single accordion item: wire ARIA, attach listeners,
-		 * and optionally open items marked data-open-default="true".
+		 * and open items that were remembered as open or, failing that,
+		 * are marked data-open-default="true". Server-rendered items keep
+		 * their IDs and state unless it needs to change.
 		 */
 		_initItem(item) {
 			const toggle = item.querySelector('.aa-toggle-button');
 			const content = item.querySelector('.wp-block-accordion-content');
 			if (!toggle || !content) return;
 
+			this._parts.set(item, { toggle, content, heading: toggle.parentElement });
+
+			item.classList.toggle(
+				'aa-has-sticky-toggle',
+				dataBool(item, 'sticky-toggle', this.stickyToggles)
+			);
+
 			// Generate a deterministic ID for aria-controls.
 			const id =
 				item.getAttribute('data-item-id') ||
@@ -118,27 +588,152 @@
 			const toggleId = `${id}-toggle`;
 			const contentId = `${id}-content`;
 
-			toggle.id = toggleId;
-			content.id = contentId;
-			toggle.setAttribute('aria-controls', contentId);
-			content.setAttribute('aria-labelledby', toggleId);
+			// Rendered on the server (includes/server-render.php): IDs,
+			// ARIA and open / hidden state are already in place.
+			const rendered =
+				content.id === contentId &&
+				toggle.getAttribute('aria-controls') === contentId;
+			const native = isNative(item);
+
+			// The script closes siblings itself (animated), so the
+			// browser's exclusive `name` groups are turned off.
+			if (native && item.hasAttribute('name')) {
+				this._detailsNames.set(item, item.getAttribute('name'));
+				item.removeAttribute('name');
+			}
 
-			const openDefault = dataBool(item, 'open-default');
+			if (!rendered) {
+				toggle.id = toggleId;
+				content.id = contentId;
+				toggle.setAttribute('aria-controls', contentId);
+				content.setAttribute('aria-labelledby', toggleId);
+			}
 
-			if (openDefault) {
-				this._openItem(item, true);
+			const storedId = item.getAttribute('data-item-id');
+			const openDefault =
+				this._restoredState && storedId
+					? this._restoredState.has(storedId)
+					: dataBool(item, 'open-default');
+			const renderedOpen = native
+				? item.open
+				: rendered && item.classList.contains('is-open');
+			if (native) item.classList.toggle('is-open', renderedOpen);
+
+			if ((rendered || native) && openDefault === renderedOpen) {
+				// Adopt the server's state as is – nothing to measure.
+				if (renderedOpen) {
+					this._activeItem = item;
+					this._openedAt.set(item, Date.now());
+				} else if (!native && !supportsUntilFound) {
+					// The server wrote hidden="until-found"; the stylesheet
+					// shows such panels, so without support they'd stay
+					// focusable.
+					hidePanel(content);
+				}
+			} else if (openDefault) {
+				this._openItem(item, { instant: true, silent: true });
+			} else if (renderedOpen) {
+				// Remembered as closed.
+				this._closeItem(item, { instant: true, silent: true });
 			} else {
 				toggle.setAttribute('aria-expanded', 'false');
-				content.hidden = true;
+				hidePanel(content);
 				content.style.maxHeight = '0';
 				content.style.overflow = 'hidden';
 			}
 
-			// Click handler.
-			const clickHandler = () => this._toggle(item);
+			// Click handler. Enter / Space don't get here – _handleKeyboard()
+			// toggles the item itself.
+			const clickHandler = (e) => {
+				// A <summary> would toggle its <details> at once.
+				if (native) e.preventDefault();
+				this._toggle(item, { source: 'click' });
+			};
 			toggle.addEventListener('click', clickHandler);
 			// Store for cleanup
 			this._listeners.set(toggle, clickHandler);
+
+			// Deferred media can start loading before the item opens.
+			if (dataBool(item, 'defer-prefetch')) {
+				const prefetchHandler = () => this._hydrate(item);
+				toggle.addEventListener('pointerenter', prefetchHandler);
+				toggle.addEventListener('focus', prefetchHandler);
+				this._prefetchListeners.set(toggle, prefetchHandler);
+			}
+
+			// Optional "copy link to this answer" button.
+			const copyButton = item.querySelector(
+				':scope > .wp-block-accordion-toggle .aa-copy-link'
+			);
+			if (copyButton) {
+				const copyHandler = () => this._copyLink(item, copyButton);
+				copyButton.addEventListener('click', copyHandler);
+				this._listeners.set(copyButton, copyHandler);
+			}
+
+			// Find-in-page matched text inside the collapsed panel: the
+			// browser has already removed `hidden`, so open the item the
+			// regular way (auto-close, linked groups, events).
+			if (native) {
+				this._initNative(item);
+			} else if (supportsUntilFound) {
+				const findHandler = () => {
+					if (item.classList.contains('is-open')) return;
+					if (!this.open(item, { source: 'find' })) hidePanel(content);
+				};
+				content.addEventListener('beforematch', findHandler);
+				this._findListeners.set(content, findHandler);
+			}
+		}
+
+		/**
+		 * A <details> item opened or closed by the browser rather than this
+		 * script – find-in-page, or other code setting `open` – goes the
+		 * regular way from there (auto-close, linked groups, events). The
+		 * script's own changes keep `open` in step with is-open and are
+		 * ignored.
+		 */
+		_initNative(item) {
+			const nativeHandler = () => {
+				// Closing panels stay open until their animation ends.
+				const isOpen = item.classList.contains('is-open');
+				if (item.open === isOpen || this._animations.has(item)) return;
+
+				if (item.open) {
+					if (!this.open(item, { source: 'find' })) item.open = false;
+				} else if (!this.close(item)) {
+					item.open = true;
+				}
+			};
+			item.addEventListener('toggle', nativeHandler);
+			this._nativeListeners.set(item, nativeHandler);
+		}
+
+		/**
+		 * Switch between horizontal and vertical layout. Open panels keep
+		 * max-height: none and closed ones max-height: 0 in both layouts, so
+		 * only the class and the animated property change; animations in
+		 * flight jump to their end first.
+		 */
+		_applyLayout() {
+			this._animations.forEach((record, item) =>
+				this._finishAnimation(item, record)
+			);
+			this.horizontal = this._layoutQuery.matches;
+			this.container.classList.toggle('aa-is-horizontal', this.horizontal);
+		}
+
+		/**
+		 * Toggle button and panel of an item (cached for this instance's
+		 * items, looked up for anything else).
+		 */
+		_partsOf(item) {
+			return (
+				this._parts.get(item) || {
+					toggle: item.querySelector('.aa-toggle-button'),
+					content: item.querySelector('.wp-block-accordion-content'),
+				}
+			);
 		}
 
 		/* ── Resolve animation settings for an item ───────────── */
@@ -172,13 +767,39 @@
 
 		/* ── Toggle (open / close) ────────────────────────────── */
 
-		_toggle(item) {
+		/**
+		 * @param {HTMLElement} item
+		 * @param {Object}      [opts] Passed through to _openItem() /
+		 *                             _closeItem().
+		 */
+		_toggle(item, opts = {}) {
+			if (this.tabs) return this._selectTab(item, opts);
+
 			const isOpen = item.classList.contains('is-open');
 
-			if (isOpen) {
-				this._closeItem(item);
-			} else {
-				this._openItem(item);
+			// Where the toggle is before items above it start collapsing.
+			const anchorTop =
+				!isOpen && !this.horizontal && opts.source !== 'hash'
+					? this._partsOf(item).toggle?.getBoundingClientRect().top
+					: undefined;
+
+			// Closed from its sticky position: the reader is somewhere
+			// inside the panel, past the item's start.
+			const wasStuck = isOpen && this._isStuck(item);
+
+			const changed = isOpen
+				? this._closeItem(item, opts)
+				: this._openItem(item, opts);
+
+			// A listener cancelled aa:beforeopen / aa:beforeclose.
+			if (!changed) return false;
+
+			if (wasStuck) {
+				this._scrollToItem(item, { force: true });
+			}
+
+			if (this.updateHash) {
+				this._syncHash(item, !isOpen);
 			}
 
 			// Linked groups: synchronise other items on the page with
@@ -196,271 +817,608 @@
 						// linked group being opened in the same gesture.
 						const siblingGroup = sibling.getAttribute('data-link-group');
 						if (siblingGroup && siblingGroup === groupId) return;
-						this._closeItem(sibling);
+						this._closeItem(sibling, {
+							source: opts.source,
+							secondary: true,
+						});
 					}
 				});
 			}
+
+			if (anchorTop !== undefined) {
+				this._settleScroll(item, anchorTop, opts.source);
+			}
+
+			return true;
 		}
 
 		/* ── Open an item ─────────────────────────────────────── */
 
-		_openItem(item, instant = false) {
-			const toggle = item.querySelector('.aa-toggle-button');
-			const content = item.querySelector('.wp-block-accordion-content');
-			if (!toggle || !content) return;
+		/**
+		 * Expand an item. State (is-open, aria-expanded) changes at once;
+		 * the animation follows and reverses any close still in flight.
+		 * Returns false if nothing happened (missing markup, already open,
+		 * or a listener cancelled aa:beforeopen).
+		 *
+		 * @param {HTMLElement} item
+		 * @param {Object}  [opts]
+		 * @param {boolean} [opts.instant]   Skip the animation.
+		 * @param {boolean} [opts.silent]    Don't dispatch lifecycle events.
+		 * @param {string}  [opts.source]    What triggered it (analytics).
+		 * @param {boolean} [opts.secondary] A side effect of another item.
+		 */
+		_openItem(item, opts = {}) {
+			const { instant = false, silent = false } = opts;
+			const { toggle, content } = this._partsOf(item);
+			if (!toggle || !content) return false;
+			if (item.classList.contains('is-open')) return false;
 
-			const s = this._getSettings(item);
-			const dur = instant ? 0 : s.duration;
+			if (!silent && !this._emit(item, 'beforeopen', true)) return false;
 
+			this._activeItem = item;
 			item.classList.add('is-open');
 			toggle.setAttribute('aria-expanded', 'true');
-			content.hidden = false;
+			if (isNative(item)) {
+				item.open = true;
+			} else {
+				content.hidden = false;
+			}
+			this._openedAt.set(item, Date.now());
+			this._syncToggleAll();
+			if (!silent) {
+				this._saveState();
+				this._track(item, 'open', opts);
+			}
 
-			// Toggle CSS class for no-fade mode
-			if (!s.contentFade) {
-				content.classList.add('aa-no-fade');
+			const paused = this._pausedMedia.get(item);
+			if (paused) {
+				this._pausedMedia.delete(item);
+				// Autoplay policies may refuse – nothing to do about it.
+				paused.forEach((el) => el.play()?.catch(() => {}));
+			}
+
+			// Deferred media: measure only once it has its size. If the
+			// item is closed (or already animating) by then, leave it be.
+			const media = this._hydrate(item);
+			const ready = instant ? null : whenMediaSized(media);
+			if (ready) {
+				// Held shut meanwhile – is-open alone would show it in full.
+				if (!this.horizontal) {
+					content.style.maxHeight = '0';
+					content.style.overflow = 'hidden';
+				}
+				ready.then(() => {
+					if (
+						item.classList.contains('is-open') &&
+						!this._animations.has(item)
+					) {
+						this._animate(item, true, { silent });
+					}
+				});
 			} else {
-				content.classList.remove('aa-no-fade');
+				this._animate(item, true, { instant, silent });
+			}
+			return true;
+		}
+
+		/* ── Close an item ────────────────────────────────────── */
+
+		/**
+		 * Collapse an item. State changes at once; the panel is hidden when
+		 * the animation finishes, unless it is reopened first. Returns false
+		 * if nothing happened (missing markup, already closed, or a listener
+		 * cancelled aa:beforeclose).
+		 *
+		 * @param {HTMLElement} item
+		 * @param {Object}  [opts] See _openItem().
+		 */
+		_closeItem(item, opts = {}) {
+			const { instant = false, silent = false } = opts;
+			const { toggle, content } = this._partsOf(item);
+			if (!toggle || !content) return false;
+			if (!item.classList.contains('is-open')) return false;
+
+			if (!silent && !this._emit(item, 'beforeclose', true)) return false;
+
+			item.classList.remove('is-open');
+			toggle.setAttribute('aria-expanded', 'false');
+			// Reopened by the visitor, it is theirs – and remembered.
+			if (opts.source !== 'search') this._searchOpened.delete(item);
+			this._syncToggleAll();
+			if (!silent) {
+				this._saveState();
+				this._track(item, 'close', opts);
 			}
+			this._openedAt.delete(item);
+
+			const paused = pauseMedia(content);
+			if (paused.length && dataBool(item, 'resume-media')) {
+				this._pausedMedia.set(item, paused);
+			}
+
+			this._animate(item, false, { instant, silent, source: opts.source });
+			return true;
+		}
+
+		/* ── Animation engine ─────────────────────────────────── */
+
+		/**
+		 * Animate an item's panel towards the state _openItem() or
+		 * _closeItem() just applied. An animation already running on the
+		 * item is cancelled and the new one starts from the panel's current
+		 * size and its children's current opacity, so rapid toggling
+		 * reverses smoothly and only the last request settles.
+		 *
+		 * Vertical panels animate height, horizontal items flex-grow.
+		 *
+		 * @param {HTMLElement} item
+		 * @param {boolean}     opening
+		 * @param {Object}  [opts]
+		 * @param {boolean} [opts.instant] Jump straight to the end state.
+		 * @param {boolean} [opts.silent]  Don't dispatch aa:open / aa:close.
+		 * @param {number}  [opts.to]      Target height (default: measured).
+		 * @param {string}  [opts.source]  Trigger, passed on to cascades.
+		 */
+		_animate(
+			item,
+			opening,
+			{ instant = false, silent = false, to, source } = {}
+		) {
+			const { content } = this._partsOf(item);
+			const s = this._getSettings(item);
+			const dur = instant ? 0 : s.duration;
+			const horizontal = this.horizontal;
+			const running = this._animations.get(item);
+
+			// Toggle CSS class for no-fade mode
+			content.classList.toggle('aa-no-fade', !s.contentFade);
 
 			// Set CSS custom properties for animations
 			item.style.setProperty('--aa-duration', `${dur}s`);
 			item.style.setProperty('--aa-easing', s.easing);
 
-			// Only manipulate children if fade is enabled
-			if (s.contentFade && !instant) {
-				const elements = this._getAnimatableElements(content);
-				elements.forEach((child) => {
-					child.style.opacity = '0';
-					child.style.transform = `translateY(${s.slideDistance}px)`;
+			// Snapshot where the panel and its children are right now – mid
+			// flight if interrupting, else the resting state being left.
+			const children =
+				s.contentFade && dur > 0 ? this._getAnimatableElements(content) : [];
+			let from;
+			let fadeFrom = null;
+			if (running) {
+				from = horizontal
+					? parseFloat(window.getComputedStyle(item).flexGrow)
+					: content.getBoundingClientRect().height;
+				fadeFrom = children.map((child) => {
+					const cs = window.getComputedStyle(child);
+					return { opacity: cs.opacity, transform: cs.transform };
 				});
+				this._cancelAnimation(item);
+			} else if (horizontal) {
+				from = opening ? 0 : 1;
+			} else {
+				from = opening ? 0 : content.getBoundingClientRect().height;
 			}
 
-			// Measure target height
-			content.style.transition = 'none';
+			// Visible, unclipped by the stylesheet's max-height: 0, and
+			// measurable at its natural height.
 			content.style.maxHeight = 'none';
 			content.style.overflow = 'hidden';
-			const targetHeight = content.offsetHeight;
+			const natural = content.scrollHeight;
 
-			// Reset to zero
-			content.style.maxHeight = '0';
-			// eslint-disable-next-line no-unused-expressions
-			content.offsetHeight; // Force reflow
+			let target = to;
+			if (target === undefined) {
+				if (horizontal) target = opening ? 1 : 0;
+				else target = opening ? natural : 0;
+			}
 
-			requestAnimationFrame(() => {
-				// Animate to target height
-				content.style.transition = `max-height ${dur}s ${s.easing}`;
-				content.style.maxHeight = targetHeight + 'px';
+			// A reversal only travels part of the way, so it takes only
+			// that part of the duration.
+			const full = horizontal ? 1 : Math.max(natural, target);
+			const ms =
+				dur * 1000 * (full > 0 ? Math.min(1, Math.abs(target - from) / full) : 0);
 
-				// Fade in children only if contentFade is enabled
-				if (s.contentFade && !instant) {
-					this._fadeInChildren(content, s);
-				}
-			});
+			const record = { opening, silent, source, to: target, animations: [] };
+			this._animations.set(item, record);
 
-			// Cleanup after transition
-			const onEnd = (e) => {
-				if (e && e.propertyName !== 'max-height') return;
-				content.style.maxHeight = 'none';
-				content.removeEventListener('transitionend', onEnd);
-			};
+			// Retargets (`to` given) come from a nested panel that already
+			// walks every ancestor itself.
+			if (!horizontal && to === undefined) {
+				this._growAncestors(content, target - from);
+			}
 
-			if (dur > 0) {
-				content.addEventListener('transitionend', onEnd);
-			} else {
-				content.style.maxHeight = 'none';
+			if (ms <= 0 || typeof content.animate !== 'function') {
+				this._finishAnimation(item, record);
+				return;
 			}
-		}
 
-		/* ── Close an item ────────────────────────────────────── */
+			const size = horizontal
+				? item.animate([{ flexGrow: from }, { flexGrow: target }], {
+						duration: ms,
+						easing: s.easing,
+						fill: 'forwards',
+				  })
+				: content.animate(
+						[{ height: `${from}px` }, { height: `${target}px` }],
+						{ duration: ms, easing: s.easing, fill: 'forwards' }
+				  );
+			record.animations.push(size);
+
+			// Fade children in (staggered) or out alongside the size change.
+			const shown = { opacity: 1, transform: 'none' };
+			const start = opening
+				? { opacity: 0, transform: `translateY(${s.slideDistance}px)` }
+				: shown;
+			const end = opening
+				? shown
+				: { opacity: 0, transform: `translateY(-${s.slideDistance}px)` };
+			children.forEach((child, i) => {
+				record.animations.push(
+					child.animate([fadeFrom ? fadeFrom[i] : start, end], {
+						duration: s.fadeDuration * 1000,
+						delay: opening && !fadeFrom ? s.stagger * i : 0,
+						easing: s.easing,
+						fill: 'both',
+					})
+				);
+			});
 
-		_closeItem(item) {
-			const toggle = item.querySelector('.aa-toggle-button');
-			const content = item.querySelector('.wp-block-accordion-content');
-			if (!toggle || !content) return;
+			// Settle once the last of them has run – staggered fades can
+			// outlast the size change, and settling cancels them.
+			const endOf = (animation) =>
+				animation.effect.getComputedTiming().endTime;
+			const last = record.animations.reduce((a, b) =>
+				endOf(b) > endOf(a) ? b : a
+			);
+			last.onfinish = () => this._finishAnimation(item, record);
+		}
 
-			// Prevent double-close
-			if (content.dataset.isClosing === 'true') return;
-			content.dataset.isClosing = 'true';
+		/**
+		 * Settle an item in its final state once its animation – if it is
+		 * still the current one – has run.
+		 */
+		_finishAnimation(item, record) {
+			if (this._animations.get(item) !== record) return;
+			this._cancelAnimation(item);
 
-			const s = this._getSettings(item);
-			
-			console.log('🔽 Closing accordion item:', {
-				contentFade: s.contentFade,
-				duration: s.duration,
-				fadeDuration: s.fadeDuration,
-				easing: s.easing
-			});
+			const { content } = this._partsOf(item);
+			content.style.overflow = '';
 
-			// Set CSS custom properties for animations
-			item.style.setProperty('--aa-duration', `${s.duration}s`);
-			item.style.setProperty('--aa-easing', s.easing);
+			if (record.opening) {
+				content.style.maxHeight = 'none';
+				if (!record.silent) this._emit(item, 'open');
+				return;
+			}
 
-			// Toggle CSS class for no-fade mode
-			if (!s.contentFade) {
-				content.classList.add('aa-no-fade');
-				console.log('✓ Content fade disabled - no fade animation');
+			content.style.maxHeight = '';
+			if (isNative(item)) {
+				item.open = false;
 			} else {
-				content.classList.remove('aa-no-fade');
-				console.log('✓ Content fade enabled - will fade out children');
+				hidePanel(content);
 			}
 
-			// Snapshot current height
-			const currentHeight = content.scrollHeight;
-			console.log('📏 Current height:', currentHeight + 'px');
+			if (this.collapseDescendants) {
+				this._collapseDescendants(content, record.source);
+			}
 
-			// Lock height before animating
-			content.style.transition = 'none';
-			content.style.overflow = 'hidden';
-			content.style.setProperty('max-height', currentHeight + 'px', 'important');
-			console.log('🔒 Locked height:', {
-				setTo: currentHeight + 'px',
-				styleValue: content.style.maxHeight,
-				computedValue: window.getComputedStyle(content).maxHeight,
-				priority: content.style.getPropertyPriority('max-height')
-			});
-			// eslint-disable-next-line no-unused-expressions
-			content.offsetHeight; // Force reflow
+			if (!record.silent) this._emit(item, 'close');
+		}
 
-			let hasCompleted = false;
-			const cleanup = () => {
-				if (hasCompleted) return;
-				hasCompleted = true;
+		/**
+		 * Drop an item's running animation (if any) without settling it.
+		 */
+		_cancelAnimation(item) {
+			const record = this._animations.get(item);
+			if (!record) return;
+			this._animations.delete(item);
+			record.animations.forEach((animation) => animation.cancel());
+		}
 
-				console.log('🧹 Cleanup called');
+		/* ── Scroll anchoring ─────────────────────────────────── */
 
-				// Cleanup
-				item.classList.remove('is-open');
-				toggle.setAttribute('aria-expanded', 'false');
-				content.hidden = true;
-				content.style.maxHeight = '';
-				content.style.transition = '';
-				content.style.overflow = '';
-				content.style.opacity = '';
-
-				// Clear child inline styles only if fade was used
-				if (s.contentFade) {
-					const elements = this._getAnimatableElements(content);
-					elements.forEach((child) => {
-						child.style.transition = '';
-						child.style.opacity = '';
-						child.style.transform = '';
-					});
+		/**
+		 * After an item opened: keep its toggle where it was while other
+		 * items collapse (auto-close, exclusive groups) – otherwise a
+		 * taller item closing above pulls it out of the viewport – then,
+		 * if enabled, scroll the item into view.
+		 *
+		 * @param {HTMLElement} item
+		 * @param {number}      top    Toggle's viewport top before opening.
+		 * @param {string}      source What opened it (see _openItem()).
+		 */
+		_settleScroll(item, top, source) {
+			const { toggle } = this._partsOf(item);
+			const intoView =
+				this.scroll.intoView &&
+				(source === 'click' || source === 'keyboard');
+
+			const closing = () =>
+				Array.from(AdvancedAccordion._instances.values()).some(
+					(instance) =>
+						Array.from(instance._animations).some(
+							([other, record]) => other !== item && !record.opening
+						)
+				);
+
+			cancelAnimationFrame(this._anchorFrame);
+
+			const step = () => {
+				const drift = toggle.getBoundingClientRect().top - top;
+				if (Math.abs(drift) >= 1) window.scrollBy(0, drift);
+
+				if (closing()) {
+					this._anchorFrame = requestAnimationFrame(step);
+					return;
 				}
-
-				content.dataset.isClosing = 'false';
-				console.log('✅ Close complete');
+				this._anchorFrame = 0;
+				if (intoView) this._scrollToItem(item);
 			};
+			step();
+		}
 
-			if (s.duration > 0) {
-				let fallbackTimeout;
-				
-				// Debug: listen to ALL transitionend events
-				const debugHandler = (e) => {
-					console.log('🎯 TransitionEnd event (ANY):', {
-						target: e.target.tagName + (e.target.className ? '.' + e.target.className.split(' ').join('.') : ''),
-						propertyName: e.propertyName,
-						isContent: e.target === content,
-						elapsedTime: e.elapsedTime
-					});
-				};
-				content.addEventListener('transitionend', debugHandler, true); // Use capture phase
-				
-				const transitionEndHandler = (e) => {
-					// Only respond to max-height transitions on the content element itself
-					if (e.target !== content || e.propertyName !== 'max-height') return;
-					console.log('⏱️ TransitionEnd fired for max-height - CLEANUP');
-					content.removeEventListener('transitionend', transitionEndHandler);
-					content.removeEventListener('transitionend', debugHandler, true);
-					clearTimeout(fallbackTimeout);
-					cleanup();
-				};
-				
-				content.addEventListener('transitionend', transitionEndHandler);
-				
-				// Fallback timeout in case transitionend doesn't fire
-				fallbackTimeout = setTimeout(() => {
-					console.log('⚠️ Fallback timeout triggered');
-					content.removeEventListener('transitionend', transitionEndHandler);
-					content.removeEventListener('transitionend', debugHandler);
-					cleanup();
-				}, (s.duration * 1000) + 100);
-
-				requestAnimationFrame(() => {
-					console.log('🎬 Starting collapse animation');
-					// Set transition first, then animate to 0
-					content.style.transition = `max-height ${s.duration}s ${s.easing}`;
-					content.style.setProperty('max-height', '0px', 'important');
-					
-					// Check immediately
-					console.log('🔍 Immediately after setting:', {
-						styleMaxHeight: content.style.maxHeight,
-						computedMaxHeight: window.getComputedStyle(content).maxHeight,
-					});
-					
-					// Check after a tiny delay to see if it updates
-					setTimeout(() => {
-						console.log('🔍 After 10ms:', {
-							styleMaxHeight: content.style.maxHeight,
-							computedMaxHeight: window.getComputedStyle(content).maxHeight,
-						});
-					}, 10);
-					
-					setTimeout(() => {
-						console.log('🔍 After 100ms:', {
-							styleMaxHeight: content.style.maxHeight,
-							computedMaxHeight: window.getComputedStyle(content).maxHeight,
-						});
-					}, 100);
-
-					// Fade out children ONLY if contentFade is enabled
-					if (s.contentFade) {
-						console.log('🌫️ Fading out children');
-						this._fadeOutChildren(content, s);
-					}
-				});
-			} else {
-				console.log('⚡ Instant close (duration = 0)');
-				content.style.maxHeight = '0px';
-				cleanup();
+		/**
+		 * Space covered at the top of the viewport: the configured offset
+		 * plus the sticky header, while it is on screen.
+		 */
+		_scrollOffset() {
+			let header = null;
+			try {
+				header = this.scroll.header
+					? document.querySelector(this.scroll.header)
+					: null;
+			} catch (e) {
+				// Invalid selector – use the offset alone.
 			}
+			const covered = header
+				? Math.max(0, header.getBoundingClientRect().bottom)
+				: 0;
+			return this.scroll.offset + covered;
 		}
 
-		/* ── Content fade helpers ─────────────────────────────── */
-
-		_fadeInChildren(content, s) {
-			// Get all descendants that should be animated (direct children + nested list items)
-			const elements = this._getAnimatableElements(content);
-			elements.forEach((child, i) => {
-				const delay = s.stagger * i;
-				child.style.transition = `opacity ${s.fadeDuration}s ${s.easing} ${delay}ms, transform ${s.fadeDuration}s ${s.easing} ${delay}ms`;
-				child.style.opacity = '1';
-				child.style.transform = 'translateY(0)';
+		/**
+		 * Scroll an item's top to just below the offset / sticky header.
+		 * Unless forced, an item already fully in view stays put.
+		 *
+		 * @param {HTMLElement} item
+		 * @param {Object}  [opts]
+		 * @param {boolean} [opts.instant] Jump instead of scrolling smoothly.
+		 * @param {boolean} [opts.force]   Scroll even if already in view.
+		 */
+		_scrollToItem(item, { instant = false, force = false } = {}) {
+			const offset = this._scrollOffset();
+			const { top } = item.getBoundingClientRect();
+			const { toggle, content } = this._partsOf(item);
+			const bottom =
+				top + (toggle?.offsetHeight || 0) + (content?.scrollHeight || 0);
+
+			if (!force && top >= offset && bottom <= window.innerHeight) return;
+
+			window.scrollBy({
+				top: top - offset,
+				behavior:
+					instant || prefersReducedMotion.matches ? 'instant' : 'smooth',
 			});
 		}
 
-		_fadeOutChildren(content, s) {
-			// Get all descendants that should be animated (direct children + nested list items)
-			const elements = this._getAnimatableElements(content);
-			elements.forEach((child) => {
-				child.style.transition = `opacity ${s.fadeDuration}s ${s.easing}, transform ${s.fadeDuration}s ${s.easing}`;
-				child.style.opacity = '0';
-				child.style.transform = `translateY(-${s.slideDistance}px)`;
-			});
+		/* ── Sticky toggles ───────────────────────────────────── */
+
+		/**
+		 * Where open items' toggles stick (--aa-sticky-top): below the
+		 * offset / sticky header and the stuck toggles of the items this
+		 * accordion is nested in.
+		 */
+		_updateStickyTop() {
+			if (!this._stickyHandler) return;
+
+			let top = this._scrollOffset();
+			for (
+				let el = this.container.parentElement?.closest(
+					'.wp-block-accordion-item'
+				);
+				el;
+				el = el.parentElement?.closest('.wp-block-accordion-item')
+			) {
+				if (el.matches('.aa-has-sticky-toggle.is-open')) {
+					top += el.querySelector('.wp-block-accordion-toggle')
+						?.offsetHeight || 0;
+				}
+			}
+			this.container.style.setProperty('--aa-sticky-top', `${top}px`);
 		}
 
 		/**
-		 * Get elements that should be animated with stagger effect.
-		 * Includes direct children and nested list items (li).
+		 * Whether an item's toggle is currently stuck, i.e. the item's
+		 * start has scrolled above it.
+		 */
+		_isStuck(item) {
+			if (
+				!item.classList.contains('aa-has-sticky-toggle') ||
+				this.tabs ||
+				this.horizontal
+			) {
+				return false;
+			}
+			const { toggle } = this._partsOf(item);
+			const wrapper = toggle?.closest('.wp-block-accordion-toggle');
+			return (
+				!!wrapper &&
+				wrapper.getBoundingClientRect().top -
+					item.getBoundingClientRect().top -
+					item.clientTop >
+					1
+			);
+		}
+
+		/* ── Print ────────────────────────────────────────────── */
+
+		/**
+		 * Before printing: back to the stacked layout (tabs and horizontal
+		 * don't print well) and, in "expanded" mode, open every closed item
+		 * instantly. Nothing is announced, saved or synced – afterprint
+		 * puts it all back.
+		 */
+		_beforePrint() {
+			if (this._printState) return;
+
+			const state = {
+				tabs: this.tabs,
+				horizontal: this.horizontal,
+				activeItem: this._activeItem,
+				opened: [],
+			};
+			this._printState = state;
+
+			if (state.tabs) this._leaveTabs();
+			if (state.horizontal) {
+				this._animations.forEach((record, item) =>
+					this._finishAnimation(item, record)
+				);
+				this.horizontal = false;
+				this.container.classList.remove('aa-is-horizontal');
+			}
+
+			if (this.printMode !== 'expanded') return;
+
+			// Media paused on close stays paused.
+			const paused = new Map(this._pausedMedia);
+			this.items.forEach((item) => {
+				if (
+					this._parts.has(item) &&
+					this._openItem(item, { instant: true, silent: true })
+				) {
+					state.opened.push(item);
+				}
+			});
+			this._pausedMedia = paused;
+			this._activeItem = state.activeItem;
+		}
+
+		/**
+		 * After printing: close what _beforePrint() opened and restore the
+		 * layout.
+		 */
+		_afterPrint() {
+			const state = this._printState;
+			if (!state) return;
+			this._printState = null;
+
+			state.opened.forEach((item) =>
+				this._closeItem(item, { instant: true, silent: true })
+			);
+			this._activeItem = state.activeItem;
+
+			if (state.horizontal && this._layoutQuery) this._applyLayout();
+			if (state.tabs && this._tabsQuery) this._applyDisplayMode();
+			this._syncToggleAll();
+		}
+
+		/* ── Deferred content ─────────────────────────────────── */
+
+		/**
+		 * Restore the media the server made inert in a deferred item's
+		 * panel (see includes/deferred-content.php). Media belonging to a
+		 * nested deferred item is left for that item. Returns the media
+		 * elements that were hydrated; a no-op after the first call.
+		 */
+		_hydrate(item) {
+			if (!dataBool(item, 'defer-content')) return [];
+			const { content } = this._partsOf(item);
+
+			const selector = DEFERRED_ATTRS.map((attr) => `[data-aa-${attr}]`).join();
+			const inert = Array.from(content.querySelectorAll(selector)).filter(
+				(el) => el.closest('[data-defer-content="true"]') === item
+			);
+			if (!inert.length) return [];
+
+			const media = new Set();
+			inert.forEach((el) => {
+				DEFERRED_ATTRS.forEach((attr) => {
+					const value = el.getAttribute(`data-aa-${attr}`);
+					if (value === null) return;
+					el.setAttribute(attr, value);
+					el.removeAttribute(`data-aa-${attr}`);
+				});
+				// Lazy loading would wait for the collapsed panel to scroll
+				// into view – load now, the panel is about to open.
+				if (el.getAttribute('loading') === 'lazy') {
+					el.setAttribute('loading', 'eager');
+				}
+
+				// <source> changes only apply once their parent reloads.
+				if (el.tagName === 'SOURCE') {
+					const parent = el.parentElement;
+					if (parent.tagName !== 'PICTURE') parent.load?.();
+					media.add(
+						parent.tagName === 'PICTURE'
+							? parent.querySelector('img')
+							: parent
+					);
+				} else {
+					media.add(el);
+				}
+			});
+
+			return Array.from(media).filter(Boolean);
+		}
+
+		/* ── Nested accordions ────────────────────────────────── */
+
+		/**
+		 * Retarget ancestor panels that are mid-open by `delta` px so a
+		 * nested panel opening (or closing) inside them isn't clipped and
+		 * doesn't leave a gap. Ancestors at rest grow on their own.
+		 */
+		_growAncestors(content, delta) {
+			if (!delta) return;
+			for (
+				let el = content.parentElement?.closest('.wp-block-accordion-content');
+				el;
+				el = el.parentElement?.closest('.wp-block-accordion-content')
+			) {
+				const ancestor = el.parentElement?.closest('.wp-block-accordion-item');
+				const instance =
+					ancestor && AdvancedAccordion.instanceForItem(ancestor);
+				const record = instance?._animations.get(ancestor);
+				if (record?.opening && !instance.horizontal) {
+					instance._animate(ancestor, true, {
+						silent: record.silent,
+						to: record.to + delta,
+					});
+				}
+			}
+		}
+
+		/**
+		 * Close every open item nested inside a panel that just collapsed,
+		 * so they start closed the next time it opens.
+		 */
+		_collapseDescendants(content, source) {
+			content
+				.querySelectorAll('.wp-block-accordion-item.is-open')
+				.forEach((nested) => {
+					const instance = AdvancedAccordion.instanceForItem(nested);
+					if (instance && !instance.tabs) {
+						instance._closeItem(nested, {
+							instant: true,
+							source,
+							secondary: true,
+						});
+					}
+				});
+		}
+
+		/* ── Content fade helpers ─────────────────────────────── */
+
+		/**
+		 * Get elements that should be animated with stagger effect.
+		 * Includes direct children and nested list items (li).
 		 */
 		_getAnimatableElements(content) {
 			const elements = [];
-			
+
 			// Add direct children
 			Array.from(content.children).forEach((child) => {
 				// Check if this child contains a list (ul or ol)
 				const lists = child.querySelectorAll('ul, ol');
-				
+
 				if (lists.length > 0) {
 					// If it contains lists, animate the list items instead of the parent
 					lists.forEach((list) => {
@@ -474,65 +1432,745 @@
 					elements.push(child);
 				}
 			});
-			
+
 			return elements;
 		}
 
 		/* ── Linked group synchronisation ─────────────────────── */
 
+		/**
+		 * Propagate an item's open / close to the other members of its
+		 * linked group, according to the group's mode (data-link-mode):
+		 *   - mirror (default): members open and close together
+		 *   - exclusive: opening a member closes the others (a radio set
+		 *     across containers); closing one leaves the rest alone
+		 *   - leader: like mirror, but only members with
+		 *     data-link-role="leader" propagate
+		 * data-link-scope limits the group to the item's post or section.
+		 *
+		 * Members change without propagating further, and a group already
+		 * being synchronised (e.g. via a tab selected below) is skipped,
+		 * so one gesture never cascades.
+		 */
 		_syncLinkedGroup(groupId, triggerItem, shouldOpen) {
-			const allLinked = document.querySelectorAll(
-				`.wp-block-accordion-item[data-link-group="${groupId}"]`
+			const mode = dataStr(triggerItem, 'link-mode', 'mirror');
+			if (mode === 'leader' && dataStr(triggerItem, 'link-role') !== 'leader') {
+				return;
+			}
+			if (mode === 'exclusive' && !shouldOpen) return;
+
+			const syncing = AdvancedAccordion._syncingGroups;
+			if (syncing.has(groupId)) return;
+			syncing.add(groupId);
+
+			try {
+				const allLinked = linkScopeRoot(triggerItem).querySelectorAll(
+					`.wp-block-accordion-item[data-link-group="${CSS.escape(
+						groupId
+					)}"]`
+				);
+				const opts = { source: 'linked', secondary: true };
+
+				allLinked.forEach((linkedItem) => {
+					if (linkedItem === triggerItem) return;
+					const isOpen = linkedItem.classList.contains('is-open');
+
+					if (mode === 'exclusive') {
+						if (isOpen) this._closeItemGlobal(linkedItem, opts);
+					} else if (shouldOpen && !isOpen) {
+						this._openItemGlobal(linkedItem, opts);
+					} else if (!shouldOpen && isOpen) {
+						this._closeItemGlobal(linkedItem, opts);
+					}
+				});
+			} finally {
+				syncing.delete(groupId);
+			}
+		}
+
+		_openItemGlobal(item, opts) {
+			const instance = AdvancedAccordion.instanceForItem(item);
+			if (instance?.tabs) {
+				instance._selectTab(item, opts);
+			} else if (instance) {
+				instance._openItem(item, opts);
+			} else {
+				this._openItem(item, opts);
+			}
+		}
+
+		_closeItemGlobal(item, opts) {
+			const instance = AdvancedAccordion.instanceForItem(item);
+			// A tab set always keeps one panel open.
+			if (instance?.tabs) return;
+			if (instance) {
+				instance._closeItem(item, opts);
+			} else {
+				this._closeItem(item, opts);
+			}
+		}
+
+		/* ── Deep linking ─────────────────────────────────────── */
+
+		/**
+		 * Keep location.hash pointing at the most recently opened item.
+		 * Uses replaceState so no history entries or hashchange are created.
+		 */
+		_syncHash(item, opened) {
+			const hash = itemHash(item);
+			if (!hash) return;
+
+			if (opened) {
+				window.history.replaceState(window.history.state, '', `#${hash}`);
+			} else if (decodeHash() === hash) {
+				window.history.replaceState(
+					window.history.state,
+					'',
+					window.location.pathname + window.location.search
+				);
+			}
+		}
+
+		/**
+		 * Copy the item's deep link. Where the clipboard is unavailable or
+		 * refuses (insecure context, denied permission), the link goes to
+		 * the address bar instead and the button shows no confirmation.
+		 */
+		_copyLink(item, button) {
+			const hash = itemHash(item);
+			if (!hash) return;
+
+			const url = `${window.location.href.split('#')[0]}#${hash}`;
+			const fallback = () =>
+				window.history.replaceState(window.history.state, '', url);
+			if (!window.navigator.clipboard) {
+				fallback();
+				return;
+			}
+
+			window.navigator.clipboard.writeText(url).then(() => {
+				button.setAttribute('data-copied', 'true');
+				clearTimeout(button._aaCopiedTimeout);
+				button._aaCopiedTimeout = setTimeout(
+					() => button.removeAttribute('data-copied'),
+					2000
+				);
+			}, fallback);
+		}
+
+		/* ── State persistence ───────────────────────────────── */
+
+		/**
+		 * Storage key: page path plus the container's anchor (or, lacking
+		 * one, its position among the accordions on the page).
+		 */
+		_storageKey() {
+			const scope =
+				this.container.id ||
+				Array.from(
+					document.querySelectorAll('.wp-block-advanced-accordion')
+				).indexOf(this.container);
+			return `aa-state:${window.location.pathname}:${scope}`;
+		}
+
+		/**
+		 * Fingerprint of the item IDs, so stored state is dropped once the
+		 * accordion's items are added, removed or re-ordered.
+		 */
+		_contentSignature() {
+			return hashString(
+				this.items
+					.map((item) => item.getAttribute('data-item-id') || '')
+					.join('|')
 			);
+		}
+
+		/**
+		 * Read remembered open item IDs. Returns null when nothing usable is
+		 * stored, so _initItem() falls back to data-open-default.
+		 */
+		_loadState() {
+			const { storage, expiry, resetOnChange } = this.remember;
+			if (!storage) return null;
+
+			const key = this._storageKey();
+			let saved;
+			try {
+				saved = JSON.parse(storage.getItem(key));
+			} catch (e) {
+				saved = null;
+			}
+			if (!saved || !Array.isArray(saved.open)) return null;
+
+			const expired =
+				expiry > 0 && Date.now() - saved.savedAt > expiry * 3600 * 1000;
+			const changed =
+				resetOnChange && saved.signature !== this._contentSignature();
+
+			if (expired || changed) {
+				storage.removeItem(key);
+				return null;
+			}
+
+			return new Set(saved.open);
+		}
+
+		_saveState() {
+			const { storage } = this.remember;
+			if (!storage) return;
+
+			// Items open only as search results aren't the visitor's choice.
+			const open = this.items
+				.filter(
+					(item) =>
+						item.classList.contains('is-open') &&
+						!this._searchOpened.has(item)
+				)
+				.map((item) => item.getAttribute('data-item-id'))
+				.filter(Boolean);
+
+			try {
+				storage.setItem(
+					this._storageKey(),
+					JSON.stringify({
+						open,
+						signature: this._contentSignature(),
+						savedAt: Date.now(),
+					})
+				);
+			} catch (e) {
+				// Quota exceeded – persistence is best-effort.
+			}
+		}
+
+		/* ── Responsive tabs ──────────────────────────────────── */
+
+		/**
+		 * Enter or leave tabs mode depending on the breakpoint. The toggle
+		 * buttons themselves become the tabs (moved into a tablist), so
+		 * listeners, IDs and the active item carry over in both directions.
+		 */
+		_applyDisplayMode() {
+			const tabs = this._tabsQuery.matches;
+			if (tabs === this.tabs) return;
+
+			if (tabs) {
+				this._enterTabs();
+			} else {
+				this._leaveTabs();
+			}
+			this._syncToggleAll();
+		}
+
+		_enterTabs() {
+			const items = this.items.filter((item) => this._parts.has(item));
+			if (!items.length) return;
 
-			allLinked.forEach((linkedItem) => {
-				if (linkedItem === triggerItem) return;
-				const isOpen = linkedItem.classList.contains('is-open');
+			// Keep the last opened item active; tabs show exactly one panel.
+			const active =
+				[this._activeItem, ...items].find(
+					(item) => items.includes(item) && item.classList.contains('is-open')
+				) || items[0];
 
-				if (shouldOpen && !isOpen) {
-					this._openItemGlobal(linkedItem);
-				} else if (!shouldOpen && isOpen) {
-					this._closeItemGlobal(linkedItem);
+			items.forEach((item) => {
+				if (item !== active && item.classList.contains('is-open')) {
+					this._closeItem(item, { instant: true, silent: true });
 				}
 			});
+			if (!active.classList.contains('is-open')) {
+				this._openItem(active, { instant: true, silent: true });
+			}
+
+			this._tablist = document.createElement('div');
+			this._tablist.className = 'aa-tablist';
+			this._tablist.setAttribute('role', 'tablist');
+			this.container.insertBefore(this._tablist, items[0]);
+
+			items.forEach((item) => {
+				const { toggle, content } = this._parts.get(item);
+				this._tablist.append(toggle);
+				toggle.setAttribute('role', 'tab');
+				content.setAttribute('role', 'tabpanel');
+				content.tabIndex = 0;
+			});
+
+			this.tabs = true;
+			this.container.classList.add('aa-is-tabs');
+			this._syncTabs();
 		}
 
-		_openItemGlobal(item) {
-			const instance = AdvancedAccordion.instanceForItem(item);
-			if (instance) {
-				instance._openItem(item);
+		_leaveTabs() {
+			this._parts.forEach(({ toggle, content, heading }) => {
+				heading.append(toggle);
+				toggle.removeAttribute('role');
+				toggle.removeAttribute('aria-selected');
+				toggle.removeAttribute('tabindex');
+				toggle.hidden = false;
+				content.setAttribute('role', 'region');
+				content.removeAttribute('tabindex');
+			});
+
+			this._tablist?.remove();
+			this._tablist = null;
+			this.tabs = false;
+			this.container.classList.remove('aa-is-tabs');
+		}
+
+		/**
+		 * Show the given item's panel and hide the others (tabs mode).
+		 *
+		 * @param {HTMLElement} item
+		 * @param {Object}      [opts] source / secondary, see _openItem().
+		 */
+		_selectTab(item, opts = {}) {
+			if (!item || item.classList.contains('is-open')) return false;
+			if (!this._openItem(item, { ...opts, instant: true })) return false;
+
+			this.items.forEach((other) => {
+				if (other !== item && other.classList.contains('is-open')) {
+					this._closeItem(other, {
+						instant: true,
+						source: opts.source,
+						secondary: true,
+					});
+				}
+			});
+			this._syncTabs();
+
+			if (this.updateHash) {
+				this._syncHash(item, true);
+			}
+
+			const groupId = item.getAttribute('data-link-group');
+			if (groupId) {
+				this._syncLinkedGroup(groupId, item, true);
+			}
+
+			return true;
+		}
+
+		/**
+		 * Roving tabindex + aria-selected; tabs of filtered items are hidden.
+		 */
+		_syncTabs() {
+			this._parts.forEach(({ toggle }, item) => {
+				const selected = item.classList.contains('is-open');
+				toggle.setAttribute('aria-selected', selected ? 'true' : 'false');
+				toggle.tabIndex = selected ? 0 : -1;
+				toggle.hidden = item.hidden;
+			});
+		}
+
+		/* ── Live search ──────────────────────────────────────── */
+
+		/**
+		 * Render the search field, "no results" message and a polite live
+		 * region above the items.
+		 */
+		_initSearch() {
+			const { placeholder, noResults } = this.search;
+
+			const wrapper = document.createElement('div');
+			wrapper.className = 'aa-search';
+
+			const input = document.createElement('input');
+			input.type = 'search';
+			input.className = 'aa-search-input';
+			input.placeholder = placeholder;
+			input.setAttribute('aria-label', placeholder || 'Search');
+			input.autocomplete = 'off';
+
+			const empty = document.createElement('p');
+			empty.className = 'aa-search-empty';
+			empty.textContent = noResults;
+			empty.hidden = true;
+
+			const status = document.createElement('div');
+			status.className = 'aa-search-status aa-visually-hidden';
+			status.setAttribute('role', 'status');
+			status.setAttribute('aria-live', 'polite');
+
+			wrapper.append(input, empty, status);
+			this.container.insertBefore(wrapper, this.items[0] || null);
+
+			let debounce;
+			const inputHandler = () => {
+				clearTimeout(debounce);
+				debounce = setTimeout(() => this._applySearch(input.value), 150);
+			};
+			input.addEventListener('input', inputHandler);
+
+			this._searchUi = { wrapper, input, empty, status, inputHandler };
+		}
+
+		/**
+		 * Filter items by the query: hide non-matching items, highlight and
+		 * open matching ones. Queries shorter than the minimum length reset
+		 * the accordion to its pre-search state.
+		 */
+		_applySearch(query) {
+			const { mode, minLength, resultsText, resultCounts } = this.search;
+			const { empty, status } = this._searchUi;
+			const needle = query.trim().toLowerCase();
+			const active = needle.length >= Math.max(1, minLength);
+
+			let matches = 0;
+
+			this.items.forEach((item) => {
+				const { toggle, content } = this._partsOf(item);
+				const text = toggle?.querySelector('.aa-toggle-text');
+				const scopes = [text, mode === 'content' ? content : null].filter(
+					Boolean
+				);
+
+				scopes.forEach(removeHighlights);
+
+				const isMatch =
+					active &&
+					scopes.some((el) =>
+						el.textContent.toLowerCase().includes(needle)
+					);
+
+				item.hidden = active && !isMatch;
+
+				if (isMatch) {
+					matches++;
+					scopes.forEach((el) => highlightText(el, needle));
+					// Tabs show a single panel; see below.
+					// Listed first, so remember-state leaves it out.
+					if (!this.tabs && !item.classList.contains('is-open')) {
+						this._searchOpened.add(item);
+						if (!this._openItem(item, { source: 'search' })) {
+							this._searchOpened.delete(item);
+						}
+					}
+				} else if (this._searchOpened.has(item)) {
+					// Only collapse what the search itself opened.
+					this._searchOpened.delete(item);
+					if (item.classList.contains('is-open')) {
+						this._closeItem(item, { source: 'search' });
+					}
+				}
+			});
+
+			if (this.tabs) {
+				this._syncTabs();
+				const firstMatch = this.items.find((item) => !item.hidden);
+				if (firstMatch && this._activeItem?.hidden) {
+					this._selectTab(firstMatch, { source: 'search' });
+				}
+			}
+
+			this._syncToggleAll();
+
+			empty.hidden = !active || matches > 0;
+			const announcement =
+				matches > 0
+					? resultsText || resultCounts[matches] || String(matches)
+					: empty.textContent;
+			status.textContent = active ? announcement.replace('%d', matches) : '';
+		}
+
+		_destroySearch() {
+			if (!this._searchUi) return;
+			const { wrapper, input, inputHandler } = this._searchUi;
+
+			input.removeEventListener('input', inputHandler);
+			wrapper.remove();
+			this.items.forEach((item) => {
+				item.hidden = false;
+				removeHighlights(item);
+				removeHighlights(this._partsOf(item).toggle);
+			});
+			this._searchUi = null;
+		}
+
+		/* ── Expand all / Collapse all ────────────────────────── */
+
+		/**
+		 * Render the Expand all / Collapse all buttons (or the single
+		 * switching button) above or below the items.
+		 */
+		_initToggleAll() {
+			const { single, bottom, expandLabel, collapseLabel } =
+				this.toggleAll;
+
+			const wrapper = document.createElement('div');
+			wrapper.className = 'aa-toggle-all';
+
+			const controls = Array.from(this._parts.values())
+				.map(({ content }) => content.id)
+				.join(' ');
+
+			const button = (label, onClick) => {
+				const el = document.createElement('button');
+				el.type = 'button';
+				el.className = 'aa-toggle-all-button';
+				el.textContent = label;
+				el.setAttribute('aria-controls', controls);
+				el.addEventListener('click', onClick);
+				wrapper.append(el);
+				return el;
+			};
+
+			const ui = { wrapper };
+			if (single) {
+				ui.single = button(expandLabel, () =>
+					this._toggleAll(!this._allOpen())
+				);
 			} else {
-				this._openItem(item);
+				ui.expand = button(expandLabel, () => this._toggleAll(true));
+				ui.collapse = button(collapseLabel, () => this._toggleAll(false));
 			}
+
+			if (bottom) {
+				this.container.append(wrapper);
+			} else {
+				this.container.insertBefore(wrapper, this.items[0] || null);
+			}
+
+			this._toggleAllUi = ui;
+			this._syncToggleAll();
 		}
 
-		_closeItemGlobal(item) {
-			const instance = AdvancedAccordion.instanceForItem(item);
-			if (instance) {
-				instance._closeItem(item);
+		/**
+		 * Items the buttons act on: those not filtered out by search.
+		 */
+		_toggleAllItems() {
+			return this.items.filter(
+				(item) => this._parts.has(item) && !item.hidden
+			);
+		}
+
+		_allOpen() {
+			const items = this._toggleAllItems();
+			return (
+				items.length > 0 &&
+				items.every((item) => item.classList.contains('is-open'))
+			);
+		}
+
+		/**
+		 * Open or close every item through _openItem() / _closeItem(), the
+		 * container's stagger delay apart. A new press cancels the items
+		 * the previous one hasn't reached yet.
+		 *
+		 * @param {boolean} open
+		 */
+		_toggleAll(open) {
+			this._toggleAllTimers.forEach(clearTimeout);
+			this._toggleAllTimers = [];
+
+			const { stagger } = this.defaults;
+			const targets = this._toggleAllItems().filter(
+				(item) => item.classList.contains('is-open') !== open
+			);
+
+			targets.forEach((item, i) => {
+				const run = () => {
+					const opts = { source: 'toggle-all' };
+					const changed = open
+						? this._openItem(item, opts)
+						: this._closeItem(item, opts);
+
+					const groupId = item.getAttribute('data-link-group');
+					if (changed && groupId) {
+						this._syncLinkedGroup(groupId, item, open);
+					}
+				};
+
+				if (i && stagger && !prefersReducedMotion.matches) {
+					this._toggleAllTimers.push(setTimeout(run, stagger * i));
+				} else {
+					run();
+				}
+			});
+		}
+
+		/**
+		 * Reflect the items' state: aria-pressed on the pair of buttons,
+		 * the label of the single button. Hidden in tabs mode.
+		 */
+		_syncToggleAll() {
+			const ui = this._toggleAllUi;
+			if (!ui) return;
+
+			ui.wrapper.hidden = this.tabs;
+
+			const allOpen = this._allOpen();
+			if (ui.single) {
+				const { expandLabel, collapseLabel } = this.toggleAll;
+				ui.single.textContent = allOpen ? collapseLabel : expandLabel;
+				return;
+			}
+
+			const allClosed = this._toggleAllItems().every(
+				(item) => !item.classList.contains('is-open')
+			);
+			ui.expand.setAttribute('aria-pressed', allOpen ? 'true' : 'false');
+			ui.collapse.setAttribute(
+				'aria-pressed',
+				allClosed ? 'true' : 'false'
+			);
+		}
+
+		_destroyToggleAll() {
+			this._toggleAllTimers.forEach(clearTimeout);
+			this._toggleAllTimers = [];
+			this._toggleAllUi?.wrapper.remove();
+			this._toggleAllUi = null;
+		}
+
+		/* ── Analytics ────────────────────────────────────────── */
+
+		/**
+		 * Report an open or close to window.advancedAccordion.onTrack if
+		 * set, else push it to window.dataLayer (Google Tag Manager).
+		 *
+		 * @param {HTMLElement} item
+		 * @param {string}      action           'open' or 'close'.
+		 * @param {Object}      [opts]           See _openItem().
+		 * @param {string}      [opts.source]    What triggered it.
+		 * @param {boolean}     [opts.secondary] A side effect of another item.
+		 */
+		_track(item, action, { source = 'api', secondary = false } = {}) {
+			if (!this.analytics) return;
+
+			const { toggle } = this._partsOf(item);
+			const event = {
+				event: `accordion_${action}`,
+				accordionId: this.container.id,
+				itemId: item.getAttribute('data-item-id') || item.id || '',
+				itemTitle: (
+					toggle.querySelector('.aa-toggle-text') || toggle
+				).textContent.trim(),
+				linkGroup: dataStr(item, 'link-group'),
+				source,
+				secondary,
+			};
+
+			const openedAt = this._openedAt.get(item);
+			if (action === 'close' && openedAt) {
+				event.dwellTime = Date.now() - openedAt;
+			}
+
+			const callback = window.advancedAccordion?.onTrack;
+			if (typeof callback === 'function') {
+				callback(event);
 			} else {
-				this._closeItem(item);
+				window.dataLayer = window.dataLayer || [];
+				window.dataLayer.push(event);
 			}
 		}
 
+		/* ── Lifecycle events ─────────────────────────────────── */
+
+		/**
+		 * Dispatch a bubbling `aa:<name>` CustomEvent on an item.
+		 * Returns false if a listener called preventDefault().
+		 */
+		_emit(item, name, cancelable = false) {
+			return this._dispatch(item, name, cancelable, {
+				item,
+				itemId: item.getAttribute('data-item-id') || item.id || '',
+			});
+		}
+
+		_dispatch(target, name, cancelable = false, detail = {}) {
+			const event = new CustomEvent(`aa:${name}`, {
+				bubbles: true,
+				cancelable,
+				detail: { container: this.container, instance: this, ...detail },
+			});
+			return target.dispatchEvent(event);
+		}
+
+		/* ── Public instance methods ──────────────────────────── */
+
+		/**
+		 * Open an item as if its toggle had been clicked (auto-close and
+		 * linked groups apply). Returns false if it was already open or the
+		 * open was cancelled. Reported to analytics with source 'api'
+		 * unless `opts.source` says otherwise.
+		 */
+		open(item, opts = {}) {
+			if (!this.items.includes(item) || item.classList.contains('is-open'))
+				return false;
+			return this._toggle(item, { source: 'api', ...opts });
+		}
+
+		/**
+		 * Close an item as if its toggle had been clicked.
+		 */
+		close(item, opts = {}) {
+			if (!this.items.includes(item) || !item.classList.contains('is-open'))
+				return false;
+			return this._toggle(item, { source: 'api', ...opts });
+		}
+
+		toggle(item, opts = {}) {
+			if (!this.items.includes(item)) return false;
+			return this._toggle(item, { source: 'api', ...opts });
+		}
+
+		/**
+		 * Open every item. Ignored on auto-close containers and in tabs
+		 * mode, where only one item may be open at a time.
+		 */
+		openAll() {
+			if (this.autoClose || this.tabs) return;
+			this.items.forEach((item) => this.open(item));
+		}
+
+		closeAll() {
+			this.items.forEach((item) => this.close(item));
+		}
+
+		/**
+		 * Snapshot of the items in this container.
+		 *
+		 * @return {Array<{id: string, element: HTMLElement, open: boolean, linkGroup: string}>}
+		 */
+		getState() {
+			return this.items.map((item) => ({
+				id: item.getAttribute('data-item-id') || item.id || '',
+				element: item,
+				open: item.classList.contains('is-open'),
+				linkGroup: dataStr(item, 'link-group'),
+			}));
+		}
+
 		/* ── Keyboard Navigation ──────────────────────────────── */
 
 		_handleKeyboard(e) {
-			const toggles = this.items
-				.map((item) => item.querySelector('.aa-toggle-button'))
-				.filter(Boolean);
+			// Already handled by a nested accordion – each level navigates
+			// its own toggles only.
+			if (e.defaultPrevented) return;
+
+			const visible = this.items.filter((item) => !item.hidden);
+			const toggles = visible.map((item) => this._partsOf(item).toggle);
 
 			const index = toggles.indexOf(e.target);
 			if (index === -1) return;
 
+			// Tabs and the horizontal layout run left-to-right.
+			const horizontal = this.tabs || this.horizontal;
 			let next;
 
 			switch (e.key) {
+				case 'ArrowRight':
+					if (!horizontal) return;
+				// falls through
 				case 'ArrowDown':
+					if (this.tabs && e.key === 'ArrowDown') return;
 					e.preventDefault();
 					next = toggles[(index + 1) % toggles.length];
 					break;
+				case 'ArrowLeft':
+					if (!horizontal) return;
+				// falls through
 				case 'ArrowUp':
+					if (this.tabs && e.key === 'ArrowUp') return;
 					e.preventDefault();
 					next = toggles[(index - 1 + toggles.length) % toggles.length];
 					break;
@@ -546,26 +2184,38 @@
 					break;
 				case 'Enter':
 				case ' ':
+					// Instead of the click the button would fire.
 					e.preventDefault();
-					e.target.click();
+					this._toggle(visible[index], { source: 'keyboard' });
 					return;
 				default:
 					return;
 			}
 
 			next?.focus();
+
+			// Tabs follow focus (automatic activation).
+			if (this.tabs && next) {
+				this._selectTab(visible[toggles.indexOf(next)], {
+					source: 'keyboard',
+				});
+			}
 		}
 
-		/* ── Resize: recalculate open panels' maxHeight ───────── */
+		/* ── Resize: retarget panels that are mid-open ────────── */
 
 		_recalcOpenHeights() {
-			this.items.forEach((item) => {
-				if (!item.classList.contains('is-open')) return;
-				const content = item.querySelector('.wp-block-accordion-content');
-				// Don't recalculate if the item is currently closing
-				if (content && content.dataset.isClosing === 'true') return;
-				if (content && content.style.maxHeight !== 'none') {
-					content.style.maxHeight = content.scrollHeight + 'px';
+			if (this.horizontal) return;
+			// Open panels at rest are height: auto and follow their content;
+			// only an opening animation's fixed target can fall short.
+			Array.from(this._animations).forEach(([item, record]) => {
+				if (!record.opening) return;
+				const { content } = this._partsOf(item);
+				if (content.scrollHeight > record.to + 1) {
+					this._animate(item, true, {
+						silent: record.silent,
+						to: content.scrollHeight,
+					});
 				}
 			});
 		}
@@ -573,12 +2223,48 @@
 		/* ── Cleanup and destroy ───────────────────────────────── */
 
 		destroy() {
+			if (this._tabsHandler) {
+				this._tabsQuery.removeEventListener('change', this._tabsHandler);
+				this._tabsHandler = null;
+			}
+			if (this.tabs) {
+				this._leaveTabs();
+			}
+
+			if (this._layoutHandler) {
+				this._layoutQuery.removeEventListener('change', this._layoutHandler);
+				this._layoutHandler = null;
+				this.container.classList.remove('aa-is-horizontal');
+			}
+
+			Array.from(this._animations.keys()).forEach((item) =>
+				this._cancelAnimation(item)
+			);
+			cancelAnimationFrame(this._anchorFrame);
+			cancelAnimationFrame(this._stickyFrame);
+			if (this._stickyHandler) {
+				window.removeEventListener('scroll', this._stickyHandler);
+				this._stickyHandler = null;
+			}
+			if (this._beforePrintHandler) {
+				window.removeEventListener('beforeprint', this._beforePrintHandler);
+				window.removeEventListener('afterprint', this._afterPrintHandler);
+				this._beforePrintHandler = null;
+				this._afterPrintHandler = null;
+			}
+
 			// Disconnect ResizeObserver
 			if (this._resizeObserver) {
 				this._resizeObserver.disconnect();
 				this._resizeObserver = null;
 			}
 
+			if (this._nestedHandler) {
+				this.container.removeEventListener('aa:open', this._nestedHandler);
+				this.container.removeEventListener('aa:close', this._nestedHandler);
+				this._nestedHandler = null;
+			}
+
 			// Remove keydown listener
 			if (this._keydownHandler) {
 				this.container.removeEventListener('keydown', this._keydownHandler);
@@ -591,6 +2277,32 @@
 			});
 			this._listeners.clear();
 
+			this._prefetchListeners.forEach((handler, toggle) => {
+				toggle.removeEventListener('pointerenter', handler);
+				toggle.removeEventListener('focus', handler);
+			});
+			this._prefetchListeners.clear();
+
+			this._findListeners.forEach((handler, content) => {
+				content.removeEventListener('beforematch', handler);
+			});
+			this._findListeners.clear();
+
+			this._nativeListeners.forEach((handler, item) => {
+				item.removeEventListener('toggle', handler);
+			});
+			this._nativeListeners.clear();
+
+			this._detailsNames.forEach((name, item) => {
+				item.setAttribute('name', name);
+			});
+			this._detailsNames.clear();
+
+			this._destroySearch();
+			this._destroyToggleAll();
+
+			this._dispatch(this.container, 'destroy');
+
 			// Unregister from instances Map
 			AdvancedAccordion.unregister(this.container);
 		}
@@ -599,6 +2311,9 @@
 
 		static _instances = new Map();
 
+		// Linked groups being synchronised (see _syncLinkedGroup()).
+		static _syncingGroups = new Set();
+
 		static register(container, instance) {
 			AdvancedAccordion._instances.set(container, instance);
 		}
@@ -615,46 +2330,159 @@
 		}
 	}
 
+	/* ================================================================
+	 * Public API – window.advancedAccordion
+	 * ================================================================ */
+
+	/**
+	 * Resolve an item from an element inside it, its data-item-id or its
+	 * HTML anchor.
+	 */
+	function resolveItem(target) {
+		if (target instanceof Element) {
+			return target.closest('.wp-block-accordion-item');
+		}
+		if (typeof target !== 'string' || !target) return null;
+
+		const id = CSS.escape(target.replace(/^#/, ''));
+		return document.querySelector(
+			`.wp-block-accordion-item[data-item-id="${id}"], .wp-block-accordion-item#${id}`
+		);
+	}
+
+	/**
+	 * Resolve a container from an element, a selector, or nothing (all).
+	 */
+	function resolveInstances(container) {
+		if (!container) return Array.from(AdvancedAccordion._instances.values());
+		const instance = api.getInstance(container);
+		return instance ? [instance] : [];
+	}
+
+	function callOnItem(method, target) {
+		const item = resolveItem(target);
+		const instance = item && AdvancedAccordion.instanceForItem(item);
+		return instance ? instance[method](item) : false;
+	}
+
+	const api = {
+		/** Open an item (by data-item-id, anchor or element). */
+		open: (itemId) => callOnItem('open', itemId),
+		/** Close an item (by data-item-id, anchor or element). */
+		close: (itemId) => callOnItem('close', itemId),
+		/** Toggle an item (by data-item-id, anchor or element). */
+		toggle: (itemId) => callOnItem('toggle', itemId),
+		/** Open all items, optionally only inside one container. */
+		openAll: (container) =>
+			resolveInstances(container).forEach((i) => i.openAll()),
+		/** Close all items, optionally only inside one container. */
+		closeAll: (container) =>
+			resolveInstances(container).forEach((i) => i.closeAll()),
+		/** Flat list of item states, optionally only for one container. */
+		getState: (container) =>
+			resolveInstances(container).flatMap((i) =>
+				i.getState().map((state) => ({ ...state, container: i.container }))
+			),
+		/** The AdvancedAccordion instance for a container element or selector. */
+		getInstance(container) {
+			const el =
+				typeof container === 'string'
+					? document.querySelector(container)
+					: container;
+			const root = el?.closest?.('.wp-block-advanced-accordion');
+			return root ? AdvancedAccordion._instances.get(root) || null : null;
+		},
+	};
+
+	// Keep what was set before this script loaded, such as onTrack.
+	window.advancedAccordion = Object.assign(window.advancedAccordion || {}, api);
 	/* ================================================================
 	 * Bootstrap
 	 * ================================================================ */
 
+	/**
+	 * Hydrate a container once, register it and announce it via aa:init.
+	 */
+	function mount(el) {
+		if (el.dataset.aaInit) return;
+		el.dataset.aaInit = 'true';
+		const instance = new AdvancedAccordion(el);
+		AdvancedAccordion.register(el, instance);
+		instance._dispatch(el, 'init');
+	}
+
 	function init() {
-		document
-			.querySelectorAll('.wp-block-advanced-accordion')
-			.forEach((el) => {
-				if (el.dataset.aaInit) return;
-				el.dataset.aaInit = 'true';
-				const instance = new AdvancedAccordion(el);
-				AdvancedAccordion.register(el, instance);
+		document.querySelectorAll('.wp-block-advanced-accordion').forEach(mount);
+	}
+
+	/**
+	 * Open the item referenced by location.hash – along with every
+	 * accordion item it is nested in – and scroll it into view.
+	 *
+	 * @param {boolean} instant Skip animations (initial page load).
+	 */
+	function openFromHash(instant = false) {
+		const hash = decodeHash();
+		const item = hash && resolveItem(hash);
+		if (!item) return;
+
+		const wasOpen = item.classList.contains('is-open');
+
+		// Outermost first so nested panels measure inside an open parent.
+		const chain = [];
+		for (
+			let el = item;
+			el;
+			el = el.parentElement?.closest('.wp-block-accordion-item')
+		) {
+			chain.unshift(el);
+		}
+		chain.forEach((el) => {
+			AdvancedAccordion.instanceForItem(el)?.open(el, {
+				instant,
+				source: 'hash',
+				secondary: el !== item,
 			});
+		});
+
+		// Cancelled by an aa:beforeopen listener.
+		if (!item.classList.contains('is-open')) return;
+
+		const scroll = () =>
+			AdvancedAccordion.instanceForItem(item)?._scrollToItem(item, {
+				instant,
+				force: true,
+			});
+
+		if (wasOpen || instant) {
+			requestAnimationFrame(scroll);
+		} else {
+			item.addEventListener('aa:open', scroll, { once: true });
+		}
+	}
+
+	function boot() {
+		init();
+		openFromHash(true);
 	}
 
 	if (document.readyState === 'loading') {
-		document.addEventListener('DOMContentLoaded', init);
+		document.addEventListener('DOMContentLoaded', boot);
 	} else {
-		init();
+		boot();
 	}
 
+	window.addEventListener('hashchange', () => openFromHash());
+
 	const observer = new MutationObserver((mutations) => {
 		for (const mutation of mutations) {
 			// Handle added nodes
 			for (const node of mutation.addedNodes) {
 				if (node.nodeType !== 1) continue;
 				if (node.classList?.contains('wp-block-advanced-accordion')) {
-					if (!node.dataset.aaInit) {
-						node.dataset.aaInit = 'true';
-						const instance = new AdvancedAccordion(node);
-						AdvancedAccordion.register(node, instance);
-					}
+					mount(node);
 				}
-				node.querySelectorAll?.('.wp-block-advanced-accordion').forEach((el) => {
-					if (!el.dataset.aaInit) {
-						el.dataset.aaInit = 'true';
-						const instance = new AdvancedAccordion(el);
-						AdvancedAccordion.register(el, instance);
-					}
-				});
+				node.querySelectorAll?.('.wp-block-advanced-accordion').forEach(mount);
 			}
 
 			// Handle removed nodes - cleanup